@@ -1,23 +1,86 @@
 const express = require("express");
 const cors = require("cors");
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
+const crypto = require("crypto");
 const { fork } = require("child_process");
 const swaggerUi = require("swagger-ui-express");
 const swaggerJsdoc = require("swagger-jsdoc");
+const { buildMenuTree, getAncestors } = require("./scripts/menu_tree");
+const { FORMATS, LAYOUTS, renderSutta } = require("./scripts/render_sutta");
+const JSZip = require("jszip");
+const { PUBLIC_DIR, writeZip } = require("./scripts/generate_data_bundle");
+const {
+  DELTAS_DIR,
+  deltaFileName,
+} = require("./scripts/generate_delta_bundle");
+const {
+  COLLECTIONS_DIR,
+  COLLECTIONS_MANIFEST_FILE,
+} = require("./scripts/generate_collection_bundles");
+const {
+  SEARCH_INDEX_FILE,
+  SEARCH_INDEX_VERSION,
+  tokenize,
+  highlight,
+  decodePostings,
+  intersectPostings,
+} = require("./scripts/search_utils");
+const {
+  DATA_DIR,
+  CURRENT_LINK,
+  LEGACY_SEED_DIR,
+  LEGACY_SEED_MAP,
+  getServedDataRoot,
+  pointCurrentAt,
+  getCurrentRelease,
+  listReleases,
+  switchRelease,
+  getPublishedRelease,
+  hasPublicBundles,
+  switchPublicBundles,
+} = require("./scripts/data_releases");
+const { createAdminAuth } = require("./scripts/admin_auth");
+const {
+  createBuildId,
+  saveBuild,
+  appendBuildLog,
+  listBuilds,
+  getBuild,
+  markInterruptedBuilds,
+  pruneBuilds,
+} = require("./scripts/build_history");
+const {
+  scheduleCron,
+  fetchUpstreamHead,
+} = require("./scripts/build_scheduler");
+const { STEP_NAMES, parsePipelineArgs } = require("./scripts/build_pipeline");
+const { REPORT_FILE, FINDINGS } = require("./scripts/check_data");
+const { readSuttaIndex } = require("./scripts/sutta_index");
+const { config } = require("./scripts/config");
 
 const app = express();
-const PORT = 3000;
+const PORT = config.port;
 
-const GITHUB_REPO = "dipantan/suttacentral-api-server";
-const DATA_REMOTE_BASE = `https://raw.githubusercontent.com/${GITHUB_REPO}/main/data`;
-const RELEASE_REMOTE_BASE = `https://github.com/${GITHUB_REPO}/releases/latest/download`;
+// Where files missing locally are fetched from (e.g. on Vercel)
+const DATA_REMOTE_BASE = config.dataRemoteBase;
+const RELEASE_REMOTE_BASE = config.releaseRemoteBase;
+const SUTTACENTRAL_BASE = config.suttacentralSite;
 
 app.use(cors());
+app.use(express.json());
+
+// Bearer-token guard for the admin routes, per scope ("build" or "logs")
+const requireAdmin = createAdminAuth();
 
 // Global state for build process tracking
 let buildLogs = [];
 let buildProcess = null;
+let buildProgress = null; // Summary of the progress events of the running (or last) build
+let currentBuild = null; // History record of the running build, saved to logs/builds
+let buildSchedule = null; // Set from BUILD_SCHEDULE when the server starts
+const buildEventClients = new Set(); // Open /api/admin/build-events streams
 
 // Swagger definition
 const swaggerOptions = {
@@ -31,10 +94,20 @@ const swaggerOptions = {
     },
     servers: [
       {
-        url: "http://localhost:3000",
-        description: "Local server",
+        url: config.serverUrl,
+        description: "This server",
       },
     ],
+    components: {
+      securitySchemes: {
+        adminToken: {
+          type: "http",
+          scheme: "bearer",
+          description:
+            "Admin token from ADMIN_TOKEN, ADMIN_TOKENS or ADMIN_TOKENS_FILE.",
+        },
+      },
+    },
   },
   apis: ["./app.js"], // Path to the API docs
 };
@@ -42,49 +115,216 @@ const swaggerOptions = {
 const swaggerSpec = swaggerJsdoc(swaggerOptions);
 app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
-const SUTTA_INDEX_PATH = path.join(
-  __dirname,
-  "data/generated/sutta_index.json",
-);
-const BILARA_BASE = path.join(__dirname, "data/bilara-data-published");
-const MENUS_BASE = path.join(__dirname, "data/menus");
-const AUTHOR_META_PATH = path.join(BILARA_BASE, "_author.json");
-const PUBLICATION_META_PATH = path.join(BILARA_BASE, "_publication.json");
+// Data is read through data/current once a build has been promoted, so a
+// finished build (or a rollback) swaps the whole tree at once; until then
+// data/ is read directly. DATA_ROOT serves another tree instead (e.g. the
+// test fixtures). The paths are set by useDataRoot() on every reload.
+let DATA_ROOT;
+let SUTTA_INDEX_PATH;
+let MENU_PARENTS_PATH;
+let GENERATED_DIR;
+let SEARCH_INDEX_PATH;
+let BILARA_BASE;
+let MENUS_BASE;
+let SUTTAPLEX_BASE;
+let AUTHOR_META_PATH;
+let PUBLICATION_META_PATH;
+let LEGACY_MAP_PATH;
+
+const useDataRoot = (root) => {
+  DATA_ROOT = root;
+  SUTTA_INDEX_PATH = path.join(DATA_ROOT, "generated/sutta_index.json");
+  MENU_PARENTS_PATH = path.join(DATA_ROOT, "generated/menu_parents.json");
+  GENERATED_DIR = path.join(DATA_ROOT, "generated");
+  SEARCH_INDEX_PATH = path.join(DATA_ROOT, SEARCH_INDEX_FILE);
+  BILARA_BASE = path.join(DATA_ROOT, "bilara-data-published");
+  MENUS_BASE = path.join(DATA_ROOT, "menus");
+  SUTTAPLEX_BASE = path.join(DATA_ROOT, "suttaplex");
+  AUTHOR_META_PATH = path.join(BILARA_BASE, "_author.json");
+  PUBLICATION_META_PATH = path.join(BILARA_BASE, "_publication.json");
+  LEGACY_MAP_PATH = path.join(BILARA_BASE, "legacy_sutta_map.json");
+};
+useDataRoot(config.dataRoot || getServedDataRoot());
+
+// Search matches counted past the requested page; more are reported as capped
+const SEARCH_TOTAL_CAP = 1000;
+
+const VERSION_PATH = path.join(PUBLIC_DIR, "data.json");
+
+// Cache-Control per route family; override with e.g. CACHE_CONTROL_SUTTAS="no-cache"
+const CACHE_CONTROL = {
+  menu: config.cacheControlMenu,
+  suttaplex: config.cacheControlSuttaplex,
+  suttas: config.cacheControlSuttas,
+};
 
-let suttaIndex = {};
+let suttaIndex = {}; // uid -> entry, paths normalized to POSIX (see scripts/sutta_index.js)
+let suttaIndexVersion = null;
 let authorMeta = {};
 let publicationMeta = {};
+let legacyMap = {};
+let searchIndex = null; // Promise of the index, loaded on the first search as it is large
+let menuTree = null; // Parents, canonical leaf order and node metadata, built lazily
+let menuParents = null; // uid -> parent uid, from the map generated by build_index.js
+let dataLoadedAt = null;
 
-// Load Data
-try {
-  if (fs.existsSync(SUTTA_INDEX_PATH)) {
-    suttaIndex = JSON.parse(fs.readFileSync(SUTTA_INDEX_PATH, "utf8"));
-    console.log(`Loaded index with ${Object.keys(suttaIndex).length} entries.`);
-  } else {
-    console.warn("⚠️ Sutta index not found. Offline data is missing.");
-    // Automatic trigger if index is completely missing
-    setTimeout(() => {
-      console.log("🚀 Starting automatic bootstrap build...");
-      buildProcess = triggerOfflineBuild();
-    }, 1000);
-  }
+// Until a build restores legacy translations into bilara-data-published, the committed seed is used
+const getLegacyMapPath = () =>
+  fs.existsSync(LEGACY_MAP_PATH) ? LEGACY_MAP_PATH : LEGACY_SEED_MAP;
 
-  if (fs.existsSync(AUTHOR_META_PATH)) {
-    authorMeta = JSON.parse(fs.readFileSync(AUTHOR_META_PATH, "utf8"));
-    console.log(`Loaded author metadata.`);
-  }
+const readJsonIfExists = (filePath, fallback) =>
+  fs.existsSync(filePath)
+    ? JSON.parse(fs.readFileSync(filePath, "utf8"))
+    : fallback;
 
-  if (fs.existsSync(PUBLICATION_META_PATH)) {
-    publicationMeta = JSON.parse(
-      fs.readFileSync(PUBLICATION_META_PATH, "utf8"),
-    );
-    console.log(`Loaded publication metadata.`);
+/**
+ * Reads the sutta index, author/publication metadata and legacy map, then
+ * swaps them in together so no request sees a mix of old and new data. The
+ * lazily loaded search index, menu tree and parent map are dropped and
+ * reloaded on next use. Throws, keeping the current data, if a file is broken.
+ */
+const reloadData = () => {
+  // The first promoted release moves the served tree from data/ to data/current
+  const previousRoot = DATA_ROOT;
+  useDataRoot(config.dataRoot || getServedDataRoot());
+  let next;
+  try {
+    // Releases built before schema version 2 are read as well
+    const index = readSuttaIndex(SUTTA_INDEX_PATH);
+    next = {
+      suttaIndex: index ? index.suttas : {},
+      suttaIndexVersion: index ? index.schema_version : null,
+      authorMeta: readJsonIfExists(AUTHOR_META_PATH, {}),
+      publicationMeta: readJsonIfExists(PUBLICATION_META_PATH, {}),
+      // Legacy (non-segmented) translations
+      legacyMap: readJsonIfExists(getLegacyMapPath(), {}),
+    };
+  } catch (err) {
+    useDataRoot(previousRoot);
+    throw err;
   }
+
+  ({ suttaIndex, suttaIndexVersion, authorMeta, publicationMeta, legacyMap } =
+    next);
+  searchIndex = null;
+  menuTree = null;
+  menuParents = null;
+  dataLoadedAt = new Date().toISOString();
+
+  const summary = {
+    suttas: Object.keys(suttaIndex).length,
+    index_schema_version: suttaIndexVersion,
+    authors: Object.keys(authorMeta).length,
+    publications: Object.keys(publicationMeta).length,
+    legacy: Object.keys(legacyMap).length,
+    loaded_at: dataLoadedAt,
+  };
+  console.log(
+    `Loaded index with ${summary.suttas} entries, ${summary.authors} authors, ${summary.publications} publications and ${summary.legacy} legacy entries.`,
+  );
+  return summary;
+};
+
+// Load Data
+try {
+  reloadData();
 } catch (err) {
   console.error("Error loading metadata:", err);
 }
 
+// Optional (WATCH_DATA=true): reload when data/generated changes or
+// data/current is repointed (e.g. after a build run outside this server)
+const watchDataFiles = () => {
+  let reloadTimer = null;
+  let generatedWatcher = null;
+  const scheduleReload = () => {
+    clearTimeout(reloadTimer);
+    // Wait for the index writer to finish; builds run by this server reload on exit
+    reloadTimer = setTimeout(() => {
+      if (buildProcess) return;
+      try {
+        console.log("👀 Data files changed. Reloading data...");
+        reloadData();
+      } catch (err) {
+        console.error("❌ Reload after file change failed:", err);
+      }
+    }, 2000);
+  };
+  // A watcher follows the directory it was opened on, so re-arm it after a swap
+  const watchGenerated = () => {
+    if (generatedWatcher) generatedWatcher.close();
+    fs.mkdirSync(GENERATED_DIR, { recursive: true });
+    generatedWatcher = fs.watch(GENERATED_DIR, scheduleReload);
+  };
+  watchGenerated();
+  if (!config.dataRoot) {
+    fs.watch(DATA_DIR, (event, filename) => {
+      if (filename !== path.basename(CURRENT_LINK)) return;
+      // The first release moves data/generated under data/current
+      useDataRoot(getServedDataRoot());
+      watchGenerated();
+      scheduleReload();
+    });
+  }
+  console.log(`👀 Watching ${GENERATED_DIR} for changes.`);
+};
+
+/**
+ * Scheduled builds: checks whether the bilara `published` branch moved past
+ * the commit in public/data.json and only then starts the pipeline. Runs
+ * that do not build are recorded in the history as "skipped".
+ */
+const runScheduledBuild = async () => {
+  const check = {
+    checked_at: new Date().toISOString(),
+    upstream_commit: null,
+    data_commit: (getDataVersion() || {}).commit || null,
+    decision: null,
+  };
+  const skip = (decision) => {
+    console.log(`⏰ Scheduled build skipped: ${decision}`);
+    const now = new Date().toISOString();
+    saveBuild({
+      id: createBuildId(),
+      status: "skipped",
+      triggered_by: "scheduler",
+      started_at: now,
+      ended_at: now,
+      schedule: { ...check, decision },
+    });
+    pruneBuilds();
+  };
+
+  if (buildProcess) return skip("A build is already running.");
+  try {
+    check.upstream_commit = await fetchUpstreamHead();
+  } catch (err) {
+    return skip(`Could not check bilara-data: ${err.message}`);
+  }
+  if (check.upstream_commit === check.data_commit) {
+    return skip("bilara-data has no new commit.");
+  }
+
+  check.decision = check.data_commit
+    ? `bilara-data moved from ${check.data_commit} to ${check.upstream_commit}.`
+    : `No built data yet; bilara-data is at ${check.upstream_commit}.`;
+  console.log(`⏰ Scheduled build starting: ${check.decision}`);
+  triggerOfflineBuild("scheduler", { schedule: check });
+};
+
 // Helpers
+
+// Raw GitHub URL of a local data file, or null for files outside data/
+const getRemoteDataUrl = (filePath) => {
+  for (const base of [DATA_ROOT, DATA_DIR]) {
+    const relativePath = path.relative(base, filePath);
+    if (!relativePath.startsWith("..") && !path.isAbsolute(relativePath)) {
+      return `${DATA_REMOTE_BASE}/${relativePath.replace(/\\/g, "/")}`;
+    }
+  }
+  return null;
+};
+
 const readJson = async (filePath) => {
   try {
     if (fs.existsSync(filePath)) {
@@ -93,9 +333,8 @@ const readJson = async (filePath) => {
     }
 
     // Fallback: If local file missing, try fetching from GitHub Repo (for Vercel/Serverless)
-    const relativePath = path.relative(__dirname, filePath).replace(/\\/g, "/");
-    if (relativePath.startsWith("data/")) {
-      const remoteUrl = `${DATA_REMOTE_BASE}/${relativePath.replace("data/", "")}`;
+    const remoteUrl = getRemoteDataUrl(filePath);
+    if (remoteUrl) {
       console.log(
         `🌐 File missing locally. Fetching from remote: ${remoteUrl}`,
       );
@@ -108,62 +347,303 @@ const readJson = async (filePath) => {
   return null;
 };
 
+const readText = async (filePath) => {
+  try {
+    if (fs.existsSync(filePath)) {
+      return fs.readFileSync(filePath, "utf8");
+    }
+
+    // Same remote fallback as readJson
+    const remoteUrl = getRemoteDataUrl(filePath);
+    if (remoteUrl) {
+      console.log(
+        `🌐 File missing locally. Fetching from remote: ${remoteUrl}`,
+      );
+      const response = await fetch(remoteUrl);
+      if (response.ok) return await response.text();
+    }
+  } catch (err) {
+    console.error(`Error reading file ${filePath}:`, err);
+  }
+  return null;
+};
+
+// Sends one Server-Sent Event to every open build-events stream
+const broadcastBuildEvent = (event, data) => {
+  const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  buildEventClients.forEach((client) => client.write(payload));
+};
+
 // Helper to handle log capture
-const appendLog = (msg) => {
+const appendLog = (msg, build = currentBuild) => {
   const timestamp = new Date().toISOString();
+  // The history keeps the full log
+  if (build) appendBuildLog(build.id, `[${timestamp}] ${msg}`);
+  // Lines of a build that is no longer current only go to its history
+  if (build !== currentBuild) return;
   buildLogs.push(`[${timestamp}] ${msg}`);
   // Keep logs bounded to last 1000 lines just in case
   if (buildLogs.length > 1000) buildLogs.shift();
+  broadcastBuildEvent("log", { time: timestamp, line: msg });
+};
+
+/**
+ * Records a progress event in the history of the running build: step
+ * durations, warnings and the commit, release and bundle size the pipeline
+ * reports as "info". Item counts change too often to be saved each time.
+ */
+const recordBuildEvent = (build, event) => {
+  const { steps } = build;
+  const lastStep = steps[steps.length - 1];
+  switch (event.event) {
+    case "step":
+      if (lastStep)
+        lastStep.duration_ms = event.elapsed_ms - lastStep.started_ms;
+      steps.push({
+        step: event.step,
+        name: event.name,
+        started_ms: event.elapsed_ms,
+        duration_ms: null,
+      });
+      break;
+    case "info":
+      Object.assign(build, event.info);
+      break;
+    case "warning":
+      build.warnings.push(event.message);
+      break;
+    default:
+      return;
+  }
+  saveBuild(build);
+};
+
+// Closes the history record once the pipeline process has exited
+const finishBuildRecord = (build, code, signal) => {
+  const { steps } = build;
+  const lastStep = steps[steps.length - 1];
+  const elapsedMs = Date.now() - Date.parse(build.started_at);
+  if (lastStep && lastStep.duration_ms === null) {
+    lastStep.duration_ms = elapsedMs - lastStep.started_ms;
+  }
+  Object.assign(build, {
+    status: build.cancelled_by
+      ? "cancelled"
+      : code === 0
+        ? "complete"
+        : "failed",
+    ended_at: new Date().toISOString(),
+    duration_ms: elapsedMs,
+    exit_code: code,
+    signal,
+  });
+  saveBuild(build);
+  pruneBuilds();
+};
+
+// Signals the pipeline's process group: the pipeline and any command it runs
+const stopBuildProcess = (child, signal = "SIGTERM") => {
+  try {
+    process.kill(-child.pid, signal);
+  } catch (err) {
+    // No process groups (Windows), or the group is already gone
+    child.kill(signal);
+  }
+};
+
+/**
+ * Folds a progress event sent by build_pipeline.js over IPC into
+ * `buildProgress`. The percentage counts finished steps plus the done/total
+ * share of the running one.
+ */
+const updateBuildProgress = (event) => {
+  switch (event.event) {
+    case "step":
+      Object.assign(buildProgress, {
+        step: event.step,
+        total_steps: event.total_steps,
+        name: event.name,
+        items: null,
+      });
+      break;
+    case "items":
+      buildProgress.items = { done: event.done, total: event.total };
+      break;
+    case "warning":
+      buildProgress.warnings.push(event.message);
+      break;
+    case "complete":
+      buildProgress.status = "complete";
+      break;
+    case "failed":
+      buildProgress.status = "failed";
+      buildProgress.error = event.error;
+      break;
+    default:
+      break;
+  }
+  buildProgress.elapsed_ms = event.elapsed_ms;
+
+  const { step, total_steps: totalSteps, items, status } = buildProgress;
+  if (status === "complete") {
+    buildProgress.percent = 100;
+  } else if (totalSteps) {
+    const stepShare = items && items.total ? items.done / items.total : 0;
+    buildProgress.percent =
+      Math.round(((step - 1 + stepShare) / totalSteps) * 1000) / 10;
+  }
 };
 
-const triggerOfflineBuild = () => {
+// `triggeredBy` names the admin token (or "bootstrap", "scheduler") in the
+// build log; `details` are stored with the build in the history; `args` are
+// build_pipeline.js options such as ["--from", "bundle"]
+const triggerOfflineBuild = (
+  triggeredBy = "bootstrap",
+  details = {},
+  args = [],
+) => {
   const scriptPath = path.join(__dirname, "scripts/build_pipeline.js");
   if (!fs.existsSync(scriptPath)) {
     console.error("❌ Build script not found at:", scriptPath);
     return;
   }
 
-  buildLogs = []; // Reset logs on new build
-  appendLog("Starting new build process...");
+  buildLogs = []; // Reset logs on new build; the history keeps older ones
+  // The handlers below use `build` and `child`: the globals only track
+  // whichever build is current
+  const build = {
+    id: createBuildId(),
+    status: "running",
+    triggered_by: triggeredBy,
+    started_at: new Date().toISOString(),
+    ended_at: null,
+    duration_ms: null,
+    exit_code: null,
+    signal: null,
+    commit: null,
+    release: null,
+    bundle_size: null,
+    args,
+    steps: [],
+    warnings: [],
+    ...details,
+  };
+  currentBuild = build;
+  saveBuild(build);
+  buildProgress = {
+    build_id: build.id,
+    status: "running",
+    triggered_by: triggeredBy,
+    started_at: new Date().toISOString(),
+    step: 0,
+    total_steps: null,
+    name: null,
+    items: null,
+    percent: 0,
+    elapsed_ms: 0,
+    warnings: [],
+  };
+  appendLog(
+    `Starting new build process ${build.id} (triggered by ${triggeredBy})...`,
+  );
 
-  buildProcess = fork(scriptPath, [], {
+  // The pipeline picks its own data roots; a DATA_ROOT served here is not one
+  const env = { ...process.env };
+  delete env.DATA_ROOT;
+  const child = fork(scriptPath, args, {
     cwd: __dirname,
+    env,
     stdio: "pipe",
+    // Own process group, so a cancel also stops the commands the pipeline
+    // runs. The pipeline ends itself when the server goes away.
+    detached: true,
+  });
+  buildProcess = child;
+
+  child.on("message", (message) => {
+    if (!message || message.type !== "progress") return;
+    const { type, ...event } = message;
+    recordBuildEvent(build, event);
+    // A cancelled build may still report while the next one runs
+    if (build !== currentBuild) return;
+    updateBuildProgress(event);
+    broadcastBuildEvent("progress", event);
   });
 
-  buildProcess.stdout.on("data", (data) => {
+  child.stdout.on("data", (data) => {
     const lines = data
       .toString()
       .split("\n")
       .filter((line) => line.trim() !== "");
     lines.forEach((line) => {
       console.log(line);
-      appendLog(line);
+      appendLog(line, build);
     });
   });
 
-  buildProcess.stderr.on("data", (data) => {
+  child.stderr.on("data", (data) => {
     const lines = data
       .toString()
       .split("\n")
       .filter((line) => line.trim() !== "");
     lines.forEach((line) => {
       console.error(line);
-      appendLog(`ERROR: ${line}`);
+      appendLog(`ERROR: ${line}`, build);
     });
   });
 
-  buildProcess.on("exit", (code) => {
+  child.on("exit", (code, signal) => {
     console.log(`🏁 Bootstrap build process exited with code ${code}`);
-    appendLog(`🏁 Bootstrap build process exited with code ${code}`);
+    appendLog(`🏁 Bootstrap build process exited with code ${code}`, build);
     if (code === 0) {
-      console.log("✅ Initial build complete. Data is now available.");
-      appendLog("✅ Initial build complete. Data is now available.");
+      try {
+        reloadData();
+        console.log("✅ Build complete. New data is now being served.");
+        appendLog("✅ Build complete. New data is now being served.", build);
+      } catch (err) {
+        console.error("❌ Reloading data after the build failed:", err);
+        appendLog(
+          `ERROR: Reloading data after the build failed: ${err.message}`,
+          build,
+        );
+      }
     }
+    finishBuildRecord(build, code, signal);
+    if (build !== currentBuild) return;
+    // A crash or cancel may end the pipeline before it reports the outcome
+    if (buildProgress.status === "running") {
+      buildProgress.status = build.status;
+    }
+    broadcastBuildEvent("end", { code, progress: buildProgress });
     // Clean up to allow subsequent builds
     buildProcess = null;
+    currentBuild = null;
+  });
+  return child;
+};
+
+// Translations preferred when no author is requested, in order
+const DEFAULT_AUTHORS = ["sujato", "brahmali"];
+
+// "?lang=de,en" -> ["de", "en"]; returns null when not given
+const parseLangChain = (value) => {
+  if (!value) return null;
+  const langs = String(value)
+    .split(",")
+    .map((lang) => lang.trim().toLowerCase())
+    .filter(Boolean);
+  return langs.length > 0 ? langs : null;
+};
+
+// Flattens an index entry's translations into [{ lang, author_uid, path }]
+const listTranslations = (entry) => {
+  const list = [];
+  Object.entries(entry.translations || {}).forEach(([lang, authors]) => {
+    Object.entries(authors).forEach(([authorUid, relativePath]) => {
+      list.push({ lang, author_uid: authorUid, path: relativePath });
+    });
   });
-  return buildProcess;
+  return list;
 };
 
 const getAuthorName = (uid) => {
@@ -172,242 +652,342 @@ const getAuthorName = (uid) => {
   return uid;
 };
 
-// Route: Get Menu
-// Route: Get Root Menu
 /**
- * @openapi
- * /api/menu:
- *   get:
- *     tags: [Navigation]
- *     summary: Get the root menu
- *     description: Returns the top-level menu categories (e.g., Sutta, Vinaya, Abhidhamma) for the main navigation.
- *     responses:
- *       200:
- *         description: Successfully retrieved the root menu.
- *         content:
- *           application/json:
- *             schema:
- *               type: array
- *               items:
- *                 type: object
- *       500:
- *         description: Root menu not found.
+ * Resolves with the search index, or null while none has been built (checked
+ * again on the next search). Concurrent first searches share one read.
  */
-app.get("/api/menu", async (req, res) => {
-  const rootMenuPath = path.join(MENUS_BASE, "root.json");
-  const rootMenu = await readJson(rootMenuPath);
-  if (rootMenu) {
-    res.json(rootMenu);
-  } else {
-    res.status(500).json({ error: "Root menu not found" });
+const loadSearchIndex = () => {
+  if (!searchIndex) {
+    const loading = fs.promises
+      .readFile(SEARCH_INDEX_PATH, "utf8")
+      .then((text) => {
+        const index = JSON.parse(text);
+        if (index.version !== SEARCH_INDEX_VERSION) {
+          console.warn(
+            `⚠️ Search index version ${index.version} is not supported (expected ${SEARCH_INDEX_VERSION}); rebuild it with scripts/build_index.js.`,
+          );
+          return null;
+        }
+        console.log(`Loaded search index with ${index.docs.length} documents.`);
+        return index;
+      })
+      .catch((err) => {
+        if (err.code !== "ENOENT") {
+          console.error("❌ Could not read the search index:", err.message);
+        }
+        return null;
+      })
+      .then((index) => {
+        if (!index && searchIndex === loading) searchIndex = null;
+        return index;
+      });
+    searchIndex = loading;
   }
-});
+  return searchIndex;
+};
 
-// Route: Get Sub Menu
-/**
- * @openapi
- * /api/menu/{uid}:
- *   get:
- *     tags: [Navigation]
- *     summary: Get a specific sub-menu
- *     description: Returns the recursive sub-menu structure for a given collection UID (e.g., 'dn', 'sn').
- *     parameters:
- *       - in: path
- *         name: uid
- *         required: true
- *         schema:
- *           type: string
- *         description: The UID of the menu to retrieve.
- *     responses:
- *       200:
- *         description: Successfully retrieved the sub-menu.
- *       404:
- *         description: Menu not found.
- *       500:
- *         description: Failed to parse menu file.
- */
-app.get("/api/menu/:uid", async (req, res) => {
-  const { uid } = req.params;
-  const menuPath = path.join(MENUS_BASE, `${uid}.json`);
+// Index of the search document holding segment number `segment`
+const findSearchDoc = (docs, segment) => {
+  let low = 0;
+  let high = docs.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (docs[mid].first_segment <= segment) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+};
 
-  const menuData = await readJson(menuPath);
-  if (menuData) {
-    res.json(menuData);
-  } else {
-    res.status(404).json({ error: "Menu not found or failed to parse" });
+const getMenuTree = () => {
+  if (!menuTree) {
+    menuTree = buildMenuTree(MENUS_BASE);
+    console.log(
+      `Loaded menu tree with ${Object.keys(menuTree.nodes).length} nodes.`,
+    );
   }
-});
+  return menuTree;
+};
+
+// public/data.json as written by the last build, re-read when the file changes
+let dataVersion = { mtimeMs: null, info: null };
+const getDataVersion = () => {
+  if (!fs.existsSync(VERSION_PATH)) return null;
+  const { mtimeMs } = fs.statSync(VERSION_PATH);
+  if (dataVersion.mtimeMs !== mtimeMs) {
+    try {
+      dataVersion = {
+        mtimeMs,
+        info: JSON.parse(fs.readFileSync(VERSION_PATH, "utf8")),
+      };
+    } catch (err) {
+      console.error("Error reading version info:", err);
+      return null;
+    }
+  }
+  return dataVersion.info;
+};
 
-// Route: Get Suttaplex (Available Translations)
 /**
- * @openapi
- * /api/suttaplex/{uid}:
- *   get:
- *     tags: [Sutta]
- *     summary: Get suttaplex metadata
- *     description: Returns a list of all available translations, authors, and languages for a given sutta ID.
- *     parameters:
- *       - in: path
- *         name: uid
- *         required: true
- *         schema:
- *           type: string
- *         description: The UID of the sutta (e.g., 'dn1').
- *     responses:
- *       200:
- *         description: Successfully retrieved translations list.
- *       404:
- *         description: Sutta not found in index.
+ * Sets a strong ETag, Last-Modified and the family's Cache-Control on `res`.
+ * The ETag hashes the data commit, the request URL and the files the
+ * response was built from; Last-Modified is the build time (or the newest
+ * file when no build has run). Returns true after answering 304 Not Modified.
  */
-app.get("/api/suttaplex/:uid", (req, res) => {
-  const { uid } = req.params;
-  const suttaEntry = suttaIndex[uid];
+const sendNotModified = (req, res, family, files) => {
+  const version = getDataVersion();
+  const stats = [...new Set(files)]
+    .filter((file) => file && fs.existsSync(file))
+    .map((file) => ({ file, ...fs.statSync(file) }));
 
-  if (!suttaEntry) {
-    return res.status(404).json({ error: "Sutta not found in index" });
-  }
+  const hash = crypto.createHash("sha1");
+  hash.update(`${family}\n${req.originalUrl}\n`);
+  if (version) hash.update(`${version.commit}\n${version.updated_at}\n`);
+  // A rollback serves older files under the same build info
+  hash.update(`${getCurrentRelease()}\n`);
+  stats.forEach(({ file, size, mtimeMs }) => {
+    const relativePath = path.relative(__dirname, file).replace(/\\/g, "/");
+    // Without a recorded build the modification time stands in for the commit
+    hash.update(`${relativePath}:${size}${version ? "" : `:${mtimeMs}`}\n`);
+  });
 
-  const translations = [];
+  const lastModified =
+    version && version.updated_at
+      ? Date.parse(version.updated_at)
+      : Math.max(0, ...stats.map(({ mtimeMs }) => mtimeMs));
 
-  // Add Root
-  if (suttaEntry.root) {
-    translations.push({
-      lang: "pli",
-      lang_name: "Pali",
-      is_root: true,
-      author_uid: "ms",
-      author_name: getAuthorName("ms"),
-      id: uid + "_root-pli-ms",
-      segmented: true,
-    });
+  res.set("Cache-Control", CACHE_CONTROL[family]);
+  res.set("ETag", `"${hash.digest("hex")}"`);
+  if (lastModified > 0) {
+    res.set("Last-Modified", new Date(lastModified).toUTCString());
   }
 
-  // Add Translations
-  if (suttaEntry.translations) {
-    Object.keys(suttaEntry.translations).forEach((authorUid) => {
-      const relativePath = suttaEntry.translations[authorUid];
-      // Infer language from filename? e.g. dn1_translation-en-sujato.json
-      // or from directory structure? translation/en/sujato
-      // Let's parse filename
-      const filename = path.basename(relativePath);
-      const match = filename.match(/translation-([a-z]+)-/);
-      const langIso = match ? match[1] : "en"; // Default to en if parsing fails
-
-      translations.push({
-        lang: langIso,
-        is_root: false,
-        author_uid: authorUid,
-        author_name: getAuthorName(authorUid),
-        id: filename.replace(".json", ""),
-        segmented: true, // Bilara texts are segmented
-      });
-    });
+  if (req.fresh) {
+    res.status(304).end();
+    return true;
   }
+  return false;
+};
 
-  // Construct Suttaplex Object
-  const suttaplex = {
-    uid: uid,
-    blurb: "Blurb not available offline", // We don't have blurb data easily accessible yet
-    translations: translations,
-  };
-
-  res.json(suttaplex);
-});
+// Falls back to walking the menus when the parent map was not generated (it is not committed)
+const getMenuParents = async () => {
+  if (!menuParents) {
+    menuParents = (await readJson(MENU_PARENTS_PATH)) || getMenuTree().parents;
+  }
+  return menuParents;
+};
 
-// Route: Get Sutta Content
 /**
- * @openapi
- * /api/suttas/{uid}:
- *   get:
- *     tags: [Sutta]
- *     summary: Get full sutta content
- *     description: Returns the complete content for a sutta, including the root Pali text, its English translation, HTML structure segments, and scholarly metadata.
- *     parameters:
- *       - in: path
- *         name: uid
- *         required: true
- *         schema:
- *           type: string
- *         description: The UID of the sutta (e.g., 'sn1.1').
- *       - in: query
- *         name: author
- *         schema:
- *           type: string
- *         description: Optional author UID (e.g., 'sujato') to select a specific translation. Falls back to default if not provided.
- *     responses:
- *       200:
- *         description: Successfully retrieved sutta content object.
- *       404:
- *         description: Sutta not found in index.
+ * Returns the menu branches above `uid`, from the top-level menu down to its
+ * direct parent, or null when the uid is not in the menus.
  */
-app.get("/api/suttas/:uid", async (req, res) => {
-  const { uid } = req.params;
-  const requestedAuthor = req.query.author;
+const getBreadcrumbs = async (uid) => {
+  const parents = await getMenuParents();
+  if (!parents[uid] && !fs.existsSync(path.join(MENUS_BASE, `${uid}.json`))) {
+    return null;
+  }
 
-  const suttaEntry = suttaIndex[uid];
+  const ancestors = getAncestors(parents, uid).reverse();
+  return Promise.all(
+    ancestors.map(async (ancestorUid) => {
+      const content = await readJson(
+        path.join(MENUS_BASE, `${ancestorUid}.json`),
+      );
+      const node = (Array.isArray(content) ? content[0] : content) || {};
+      return {
+        uid: ancestorUid,
+        root_name: (node.root_name || "").trim() || null,
+        translated_name: (node.translated_name || "").trim() || null,
+        acronym: node.acronym || null,
+        node_type: node.node_type || "branch",
+      };
+    }),
+  );
+};
 
-  if (!suttaEntry) {
-    return res.status(404).json({ error: "Sutta not found in index" });
-  }
+// "mn10" -> "MN 10" when the menus carry no acronym
+const getAcronym = (uid) => {
+  const node = getMenuTree().nodes[uid];
+  if (node && node.acronym) return node.acronym;
+  return uid.replace(
+    /^([a-z-]+?)(\d.*)$/,
+    (match, prefix, rest) => `${prefix.toUpperCase()} ${rest}`,
+  );
+};
 
-  // 1. Root
-  let rootData = {};
-  let rootRelativePath = "";
+const getTitle = (uid) => {
+  const node = getMenuTree().nodes[uid];
+  if (!node) return null;
+  return (node.translated_name || node.root_name || "").trim() || null;
+};
+
+// A leaf is readable when it has Bilara text in the index or a legacy translation
+const hasText = (uid) => {
+  const entry = suttaIndex[uid];
+  if (entry && (entry.root || listTranslations(entry).length > 0)) return true;
+  return Boolean(getLegacyEntry(uid));
+};
+
+/**
+ * Returns the previous and next readable suttas around `uid` in canonical
+ * menu order, crossing vagga and saṃyutta boundaries, or null when the uid is
+ * not a menu leaf.
+ */
+const getNavigation = (uid) => {
+  const { leaves } = getMenuTree();
+  const position = leaves.indexOf(uid);
+  if (position === -1) return null;
+
+  const describe = (leafUid) =>
+    leafUid
+      ? { uid: leafUid, acronym: getAcronym(leafUid), title: getTitle(leafUid) }
+      : null;
+  const findReadable = (step) => {
+    for (let i = position + step; i >= 0 && i < leaves.length; i += step) {
+      if (hasText(leaves[i])) return leaves[i];
+    }
+    return null;
+  };
+
+  return {
+    previous: describe(findReadable(-1)),
+    next: describe(findReadable(1)),
+  };
+};
+
+// Legacy map entries look like { author_uid, path: "legacy/en/<author>/.../<uid>.html" }
+const getLegacyEntry = (uid) => {
+  const entry = legacyMap[uid];
+  if (!entry || !entry.path) return null;
+  const lang = entry.path.split("/")[1] || "en";
+  return { ...entry, lang };
+};
+
+const resolveLegacyPath = (relativePath) => {
+  const builtPath = path.join(BILARA_BASE, relativePath);
+  if (fs.existsSync(builtPath)) return builtPath;
+  // The seed directory mirrors `legacy/`
+  return path.join(LEGACY_SEED_DIR, relativePath.replace(/^legacy\//, ""));
+};
+
+// Legacy HTML carries the display name in <meta name='author' content='...'>
+const getLegacyAuthorName = (html, authorUid) => {
+  const match =
+    html && html.match(/<meta name=['"]author['"] content=['"]([^'"]*)['"]/);
+  return match ? match[1] : getAuthorName(authorUid);
+};
+
+/**
+ * Resolves and reads every file making up a sutta: root, selected translation,
+ * HTML template, comments, variants, references and publication data.
+ * Returns null when the uid is in neither the index nor the legacy map.
+ */
+const loadSuttaContent = async (
+  uid,
+  requestedAuthor,
+  langQuery,
+  sourceFiles = [],
+) => {
+  // Leaves missing from Bilara may still have a legacy HTML translation
+  const suttaEntry = suttaIndex[uid] || { root: null, translations: {} };
+  const legacyEntry = getLegacyEntry(uid);
+
+  if (!suttaIndex[uid] && !legacyEntry) {
+    return null;
+  }
+
+  // Every file read is recorded in `sourceFiles` (used for cache validators)
+  const readSource = (filePath) => {
+    sourceFiles.push(filePath);
+    return readJson(filePath);
+  };
+
+  // 1. Root
+  let rootData = {};
+  let rootRelativePath = "";
   if (suttaEntry.root) {
     rootRelativePath = suttaEntry.root;
     const rootPath = path.join(BILARA_BASE, "root/pli/ms", rootRelativePath);
-    rootData = (await readJson(rootPath)) || {};
+    rootData = (await readSource(rootPath)) || {};
   }
 
   // 2. Translation Selection Logic
-  let selectedAuthor = null;
-  let translationRelativePath = null;
+  // An explicitly requested author wins; otherwise walk the ?lang= chain
+  // (default: English) and take the preferred author in the first language
+  // that has one, with legacy HTML as the last option for that language.
+  const langChain = parseLangChain(langQuery) || ["en"];
+  const bilaraTranslations = listTranslations(suttaEntry);
+  let selectedTranslation = null;
+  let isLegacy = false;
+
+  const availableAuthors = [
+    ...new Set(bilaraTranslations.map((t) => t.author_uid)),
+  ];
+  if (legacyEntry && !availableAuthors.includes(legacyEntry.author_uid)) {
+    availableAuthors.push(legacyEntry.author_uid);
+  }
+  const availableLangs = [...new Set(bilaraTranslations.map((t) => t.lang))];
+  if (legacyEntry && !availableLangs.includes(legacyEntry.lang)) {
+    availableLangs.push(legacyEntry.lang);
+  }
 
-  const availableAuthors = Object.keys(suttaEntry.translations || {});
+  if (requestedAuthor) {
+    const byAuthor = bilaraTranslations.filter(
+      (t) => t.author_uid === requestedAuthor,
+    );
+    selectedTranslation =
+      byAuthor.find((t) => langChain.includes(t.lang)) || byAuthor[0] || null;
+    if (!selectedTranslation && legacyEntry) {
+      isLegacy = requestedAuthor === legacyEntry.author_uid;
+    }
+  }
 
-  if (availableAuthors.length > 0) {
-    if (requestedAuthor && suttaEntry.translations[requestedAuthor]) {
-      selectedAuthor = requestedAuthor;
-      translationRelativePath = suttaEntry.translations[selectedAuthor];
-    } else {
-      if (suttaEntry.translations["sujato"]) {
-        selectedAuthor = "sujato";
-      } else if (suttaEntry.translations["brahmali"]) {
-        selectedAuthor = "brahmali";
-      } else {
-        selectedAuthor = availableAuthors[0];
+  if (!selectedTranslation && !isLegacy) {
+    for (const lang of langChain) {
+      const inLang = bilaraTranslations.filter((t) => t.lang === lang);
+      if (inLang.length > 0) {
+        selectedTranslation =
+          DEFAULT_AUTHORS.map((author) =>
+            inLang.find((t) => t.author_uid === author),
+          ).find(Boolean) || inLang[0];
+        break;
+      }
+      if (legacyEntry && legacyEntry.lang === lang) {
+        // Legacy translations are whole HTML documents, served as `legacy_html`
+        isLegacy = true;
+        break;
       }
-      translationRelativePath = suttaEntry.translations[selectedAuthor];
     }
   }
 
+  let selectedAuthor = null;
+  let selectedLang = null;
+  let legacyHtml = null;
+  if (selectedTranslation) {
+    selectedAuthor = selectedTranslation.author_uid;
+    selectedLang = selectedTranslation.lang;
+  } else if (isLegacy) {
+    selectedAuthor = legacyEntry.author_uid;
+    selectedLang = legacyEntry.lang;
+    const legacyPath = resolveLegacyPath(legacyEntry.path);
+    sourceFiles.push(legacyPath);
+    legacyHtml = await readText(legacyPath);
+  }
+  const translationRelativePath = selectedTranslation
+    ? selectedTranslation.path
+    : null;
+
   // 3. Translation Data
+  // Path: translation/{lang}/{author}/{relative path from the author's root}
   let translationData = {};
-  let translationLang = "en"; // Default
-  if (selectedAuthor && translationRelativePath) {
-    // Determine language from file path or name usually
-    // Path: .../translation/en/sujato/sutta/...
-    // But we previously parsed filename. Let's rely on standard 'en' for now or parse deeply if needed.
-    // For now, assuming 'en' as it's the main corpus we are dealing with offline.
-    // If strict, we could look at the path segment: translation/{LANG}/{AUTHOR}
-    // But 'translationRelativePath' is from 'sutta/' downwards.
-    // Wait, index stores relative from `author/sutta`.
-    // So full path is `BILARA_BASE/translation/en/${selectedAuthor}/sutta/${translationRelativePath}`.
-    // This assumes 'en'. If we support others, we need to know the lang.
-    // For now, hardcoding 'en' as per previous code, but be aware.
-
-    // Attempt to detect Lang if we index it properly?
-    // In `suttaEntry.translations`, we key by Author.
-    // If multiple langs by same author exist (rare), we might have issues.
-    // For this task, we stick to 'en' path.
-
+  if (translationRelativePath) {
     const translationPath = path.join(
       BILARA_BASE,
-      "translation/en",
+      "translation",
+      selectedLang,
       selectedAuthor,
       translationRelativePath,
     );
-    translationData = (await readJson(translationPath)) || {};
+    translationData = (await readSource(translationPath)) || {};
   }
 
   // 4. HTML
@@ -423,7 +1003,7 @@ app.get("/api/suttas/:uid", async (req, res) => {
       htmlDir,
       htmlFilename,
     );
-    htmlData = (await readJson(htmlPath)) || {};
+    htmlData = (await readSource(htmlPath)) || {};
   }
 
   // 5. Context Data: Comments
@@ -431,20 +1011,20 @@ app.get("/api/suttas/:uid", async (req, res) => {
   // Filename: {uid}_comment-{lang}-{author}.json
   // Matches Translation file: {uid}_translation-{lang}-{author}.json
   let commentData = {};
-  if (selectedAuthor && translationRelativePath) {
+  if (translationRelativePath) {
     const commentFilename = path
       .basename(translationRelativePath)
       .replace("translation-", "comment-");
     const commentRelativeDir = path.dirname(translationRelativePath);
-    // Assuming 'en' for now
     const commentPath = path.join(
       BILARA_BASE,
-      "comment/en",
+      "comment",
+      selectedLang,
       selectedAuthor,
       commentRelativeDir,
       commentFilename,
     );
-    commentData = (await readJson(commentPath)) || {};
+    commentData = (await readSource(commentPath)) || {};
   }
 
   // 6. Context Data: Variants
@@ -463,7 +1043,7 @@ app.get("/api/suttas/:uid", async (req, res) => {
       variantDir,
       variantFilename,
     );
-    variantData = (await readJson(variantPath)) || {};
+    variantData = (await readSource(variantPath)) || {};
   }
 
   // 7. Context Data: Reference
@@ -482,7 +1062,7 @@ app.get("/api/suttas/:uid", async (req, res) => {
       referenceDir,
       referenceFilename,
     );
-    referenceData = (await readJson(referencePath)) || {};
+    referenceData = (await readSource(referencePath)) || {};
   }
 
   // 8. Publication Data
@@ -508,11 +1088,17 @@ app.get("/api/suttas/:uid", async (req, res) => {
     }
   }
 
-  res.json({
+  return {
     uid,
     author_uid: selectedAuthor,
-    author_name: getAuthorName(selectedAuthor),
+    author_name: isLegacy
+      ? getLegacyAuthorName(legacyHtml, selectedAuthor)
+      : getAuthorName(selectedAuthor),
+    lang: selectedLang,
     available_authors: availableAuthors,
+    available_langs: availableLangs,
+    is_legacy: isLegacy,
+    legacy_html: legacyHtml,
     root_text: rootData,
     translation_text: translationData,
     html_text: htmlData,
@@ -520,118 +1106,1483 @@ app.get("/api/suttas/:uid", async (req, res) => {
     variant_text: variantData,
     reference_text: referenceData,
     publication_data: publicationData,
-  });
-});
-
-// Route: Trigger Offline Build Pipeline
+  };
+};
 
+// Route: Get Menu
+// Route: Get Root Menu
 /**
  * @openapi
- * /api/admin/build-offline:
- *   post:
- *     tags: [Admin]
- *     summary: Trigger the offline data build pipeline
- *     description: Starts the asynchronous process of pulling data from Git repositories, fetching menu structures, downloading legacy fallbacks, and generating the final offline zip bundle.
+ * /api/menu:
+ *   get:
+ *     tags: [Navigation]
+ *     summary: Get the root menu
+ *     description: Returns the top-level menu categories (e.g., Sutta, Vinaya, Abhidhamma) for the main navigation.
  *     responses:
- *       202:
- *         description: Build pipeline started successfully.
- *       409:
- *         description: A build process is already in progress.
+ *       200:
+ *         description: Successfully retrieved the root menu.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
  *       500:
- *         description: Internal error starting the build script.
+ *         description: Root menu not found.
  */
-app.post("/api/admin/build-offline", (req, res) => {
-  if (buildProcess && !buildProcess.killed && buildProcess.exitCode === null) {
-    return res
-      .status(409)
-      .json({ error: "A build process is already running." });
+app.get("/api/menu", async (req, res) => {
+  const rootMenuPath = path.join(MENUS_BASE, "root.json");
+  const rootMenu = await readJson(rootMenuPath);
+  if (rootMenu) {
+    if (sendNotModified(req, res, "menu", [rootMenuPath])) return;
+    res.json(rootMenu);
+  } else {
+    res.status(500).json({ error: "Root menu not found" });
   }
+});
 
-  triggerOfflineBuild();
+// Route: Get Sub Menu
+/**
+ * @openapi
+ * /api/menu/{uid}:
+ *   get:
+ *     tags: [Navigation]
+ *     summary: Get a specific sub-menu
+ *     description: Returns the recursive sub-menu structure for a given collection UID (e.g., 'dn', 'sn').
+ *     parameters:
+ *       - in: path
+ *         name: uid
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The UID of the menu to retrieve.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the sub-menu.
+ *       404:
+ *         description: Menu not found.
+ *       500:
+ *         description: Failed to parse menu file.
+ */
+app.get("/api/menu/:uid", async (req, res) => {
+  const { uid } = req.params;
+  const menuPath = path.join(MENUS_BASE, `${uid}.json`);
 
-  if (!buildProcess) {
-    return res.status(500).json({ error: "Build script not found." });
+  const menuData = await readJson(menuPath);
+  if (menuData) {
+    if (sendNotModified(req, res, "menu", [menuPath])) return;
+    res.json(menuData);
+  } else {
+    res.status(404).json({ error: "Menu not found or failed to parse" });
   }
-
-  res.status(202).json({ message: "Build pipeline started asynchronously." });
 });
 
-// Route: Get Build Status/Logs
+// Route: Get Menu Path (Breadcrumbs)
 /**
  * @openapi
- * /api/admin/build-status:
+ * /api/menu/{uid}/path:
  *   get:
- *     tags: [Admin]
- *     summary: Get build progress and logs
- *     description: Returns the real-time stdout/stderr logs and running state of the building pipeline.
+ *     tags: [Navigation]
+ *     summary: Get the breadcrumb path of a menu item or sutta
+ *     description: Returns the menu branches above the given UID, from the top-level menu down to its direct parent (e.g., 'sn12.2' -> Sutta, Linked, SN, Nidānavagga, Nidānasaṃyutta, Buddhavagga).
+ *     parameters:
+ *       - in: path
+ *         name: uid
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The UID of a menu branch or sutta (e.g., 'sn12.2').
  *     responses:
  *       200:
- *         description: Successfully retrieved build status and recent logs.
+ *         description: Successfully retrieved the breadcrumb path.
+ *       404:
+ *         description: UID not found in the menus.
  */
-app.get("/api/admin/build-status", (req, res) => {
-  const isRunning = buildProcess !== null;
-  res.json({
-    isRunning,
-    logs: buildLogs,
-  });
+app.get("/api/menu/:uid/path", async (req, res) => {
+  const { uid } = req.params;
+  const breadcrumbs = await getBreadcrumbs(uid);
+  if (!breadcrumbs) {
+    return res.status(404).json({ error: "UID not found in menus" });
+  }
+  if (sendNotModified(req, res, "menu", [MENU_PARENTS_PATH])) return;
+  res.json({ uid, path: breadcrumbs });
 });
 
-// Route: Download the Zip file
+// Route: Get Suttaplex (Available Translations)
 /**
  * @openapi
- * /api/public/download-data:
+ * /api/suttaplex/{uid}:
  *   get:
- *     tags: [Public]
- *     summary: Download the offline data bundle
- *     description: Serves the latest generated `data.zip` file containing the entire offline dataset.
+ *     tags: [Sutta]
+ *     summary: Get suttaplex metadata
+ *     description: Returns the title, acronym, blurb, volume/page references, parallel count and all offline translations for a given sutta ID, in the shape of the live SuttaCentral suttaplex response. Metadata comes from the saved suttaplex payload (`data/suttaplex/{uid}.json`) when present, otherwise from the menu files. Legacy (non-segmented HTML) translations are listed with `segmented` set to false and `is_legacy` set to true.
+ *     parameters:
+ *       - in: path
+ *         name: uid
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The UID of the sutta (e.g., 'dn1').
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *         description: Optional comma-separated list of languages (e.g., 'de,en'). Only translations in these languages are listed, in this order.
  *     responses:
  *       200:
- *         description: ZIP file download initiated.
+ *         description: Successfully retrieved translations list.
  *       404:
- *         description: The data bundle hasn't been generated yet.
+ *         description: Sutta not found in index or legacy map.
  */
-app.get("/api/public/download-data", (req, res) => {
-  const zipPath = path.join(__dirname, "public/data.zip");
+app.get("/api/suttaplex/:uid", async (req, res) => {
+  const { uid } = req.params;
+  const suttaEntry = suttaIndex[uid] || { root: null, translations: {} };
+  const legacyEntry = getLegacyEntry(uid);
+  const langChain = parseLangChain(req.query.lang);
 
-  if (fs.existsSync(zipPath)) {
-    res.download(zipPath, "data.zip");
-  } else {
-    // If on Vercel/Missing, redirect to GitHub Release
-    const remoteUrl = `${RELEASE_REMOTE_BASE}/data.zip`;
-    console.log(`🌐 ZIP missing locally. Redirecting to: ${remoteUrl}`);
-    res.redirect(remoteUrl);
+  if (!suttaIndex[uid] && !legacyEntry) {
+    return res.status(404).json({ error: "Sutta not found in index" });
+  }
+
+  // Suttaplex payloads saved by master_fetch.js: [{ acronym, volpages, translations, ... }]
+  const savedPath = path.join(SUTTAPLEX_BASE, `${uid}.json`);
+  const sources = [savedPath, SUTTA_INDEX_PATH, getLegacyMapPath()];
+  if (sendNotModified(req, res, "suttaplex", sources)) return;
+  const savedContent = await readJson(savedPath);
+  const saved =
+    (Array.isArray(savedContent) ? savedContent[0] : savedContent) || {};
+  const menuNode = getMenuTree().nodes[uid] || {};
+  const fromSaved = (key, fallback = null) =>
+    saved[key] !== undefined && saved[key] !== null ? saved[key] : fallback;
+
+  const translations = [];
+  const addTranslation = (translation) => {
+    // Fill in what the live API knows about this translation (full author name, date, title...)
+    const live =
+      (saved.translations || []).find(
+        (t) =>
+          t.lang === translation.lang &&
+          t.author_uid === translation.author_uid,
+      ) || {};
+    translations.push({
+      lang: translation.lang,
+      lang_name: live.lang_name || translation.lang_name || null,
+      is_root: translation.is_root,
+      author: live.author || translation.author_name,
+      author_short: live.author_short || null,
+      author_uid: translation.author_uid,
+      author_name: translation.author_name,
+      publication_date: live.publication_date || null,
+      id: translation.id,
+      segmented: translation.segmented,
+      ...(translation.is_legacy ? { is_legacy: true } : {}),
+      title: live.title || null,
+      volpage: live.volpage || null,
+      has_comment: Boolean(live.has_comment),
+    });
+  };
+
+  // Add Root
+  if (suttaEntry.root) {
+    addTranslation({
+      lang: "pli",
+      lang_name: "Pāli",
+      is_root: true,
+      author_uid: "ms",
+      author_name: getAuthorName("ms"),
+      id: uid + "_root-pli-ms",
+      segmented: true,
+    });
+  }
+
+  // Add Translations, restricted to and ordered by ?lang= when given
+  const bilaraTranslations = listTranslations(suttaEntry);
+  const wantedLangs = langChain || [
+    ...new Set(bilaraTranslations.map((t) => t.lang)),
+  ];
+  wantedLangs.forEach((lang) => {
+    bilaraTranslations
+      .filter((translation) => translation.lang === lang)
+      .forEach((translation) => {
+        // e.g. sutta/dn/dn1_translation-en-sujato.json
+        const filename = path.basename(translation.path.replace(/\\/g, "/"));
+        addTranslation({
+          lang: translation.lang,
+          is_root: false,
+          author_uid: translation.author_uid,
+          author_name: getAuthorName(translation.author_uid),
+          id: filename.replace(".json", ""),
+          segmented: true, // Bilara texts are segmented
+        });
+      });
+  });
+
+  // Add Legacy (non-segmented HTML) translation
+  if (
+    legacyEntry &&
+    !bilaraTranslations.some((t) => t.author_uid === legacyEntry.author_uid) &&
+    (!langChain || langChain.includes(legacyEntry.lang))
+  ) {
+    const html = await readText(resolveLegacyPath(legacyEntry.path));
+    addTranslation({
+      lang: legacyEntry.lang,
+      is_root: false,
+      author_uid: legacyEntry.author_uid,
+      author_name: getLegacyAuthorName(html, legacyEntry.author_uid),
+      id: `${legacyEntry.lang}_${uid}_${legacyEntry.author_uid}`,
+      segmented: false,
+      is_legacy: true,
+    });
   }
+
+  // Construct Suttaplex Object. Field order follows the live SuttaCentral suttaplex response
+  const suttaplex = {
+    acronym: fromSaved("acronym", getAcronym(uid)),
+    volpages: fromSaved("volpages"),
+    alt_volpages: fromSaved("alt_volpages"),
+    uid: uid,
+    blurb: fromSaved("blurb", menuNode.blurb || null),
+    difficulty: fromSaved("difficulty"),
+    original_title: fromSaved(
+      "original_title",
+      (menuNode.root_name || "").trim() || null,
+    ),
+    root_lang: fromSaved("root_lang", menuNode.root_lang_iso || "pli"),
+    root_lang_name: fromSaved(
+      "root_lang_name",
+      menuNode.root_lang_name || "Pāli",
+    ),
+    type: fromSaved("type", menuNode.node_type || "leaf"),
+    translated_title: fromSaved("translated_title", getTitle(uid)),
+    translations: translations,
+    parallel_count: fromSaved("parallel_count"),
+    biblio: fromSaved("biblio"),
+    priority_author_uid: fromSaved("priority_author_uid"),
+  };
+
+  res.json(suttaplex);
 });
 
-// Route: Download/View Version Data JSON
+// Route: Get Sutta Content
 /**
  * @openapi
- * /api/public/data-version:
+ * /api/suttas/{uid}:
  *   get:
- *     tags: [Public]
- *     summary: Get data version information
- *     description: Returns the Git commit hash and timestamp of the data currently served in the offline bundle.
+ *     tags: [Sutta]
+ *     summary: Get full sutta content
+ *     description: Returns the complete content for a sutta, including the root Pali text, a translation (English by default), HTML structure segments, and scholarly metadata.
+ *     parameters:
+ *       - in: path
+ *         name: uid
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The UID of the sutta (e.g., 'sn1.1').
+ *       - in: query
+ *         name: author
+ *         schema:
+ *           type: string
+ *         description: Optional author UID (e.g., 'sujato') to select a specific translation. Falls back to default if not provided.
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *         description: Optional comma-separated language fallback chain (e.g., 'de,en'). The first language with a translation is used. Defaults to 'en'.
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, html, text, markdown]
+ *           default: json
+ *         description: Output format. Anything but 'json' returns the assembled document, with comments rendered as footnotes.
+ *       - in: query
+ *         name: layout
+ *         schema:
+ *           type: string
+ *           enum: [root, translation, bilingual]
+ *         description: Document layout for non-JSON formats. Defaults to 'translation', or 'root' when there is no translation.
  *     responses:
  *       200:
- *         description: Successfully retrieved version metadata.
+ *         description: Successfully retrieved sutta content object (or the rendered document). When only a legacy translation exists, `is_legacy` is true and the HTML document is returned in `legacy_html`.
+ *       400:
+ *         description: Unknown format or layout.
  *       404:
- *         description: Version information not found.
+ *         description: Sutta not found in index or legacy map.
  */
-app.get("/api/public/data-version", async (req, res) => {
-  const versionPath = path.join(__dirname, "public/data.json");
+app.get("/api/suttas/:uid", async (req, res) => {
+  const { uid } = req.params;
+  const format = req.query.format || "json";
+  const { layout } = req.query;
 
-  if (fs.existsSync(versionPath)) {
-    res.sendFile(versionPath);
-  } else {
-    // Redirect to GitHub Release version
-    const remoteUrl = `${RELEASE_REMOTE_BASE}/data.json`;
-    console.log(
-      `🌐 Version info missing locally. Redirecting to: ${remoteUrl}`,
-    );
-    res.redirect(remoteUrl);
+  if (!FORMATS.includes(format)) {
+    return res
+      .status(400)
+      .json({ error: `format must be one of ${FORMATS.join(", ")}` });
+  }
+  if (layout && !LAYOUTS.includes(layout)) {
+    return res
+      .status(400)
+      .json({ error: `layout must be one of ${LAYOUTS.join(", ")}` });
   }
-});
 
-app.listen(PORT, () => {
-  console.log(`Server running at http://localhost:${PORT}`);
-});
+  const sourceFiles = [SUTTA_INDEX_PATH, MENU_PARENTS_PATH];
+  const content = await loadSuttaContent(
+    uid,
+    req.query.author,
+    req.query.lang,
+    sourceFiles,
+  );
+
+  if (!content) {
+    return res.status(404).json({ error: "Sutta not found in index" });
+  }
+  if (sendNotModified(req, res, "suttas", sourceFiles)) return;
+
+  if (format === "json") {
+    const navigation = getNavigation(uid) || { previous: null, next: null };
+    return res.json({
+      ...content,
+      breadcrumbs: (await getBreadcrumbs(uid)) || [],
+      previous: navigation.previous,
+      next: navigation.next,
+    });
+  }
+
+  const document = renderSutta(content, {
+    format,
+    layout,
+    title: getTitle(uid) || uid,
+  });
+  const contentTypes = {
+    html: "text/html; charset=utf-8",
+    text: "text/plain; charset=utf-8",
+    markdown: "text/markdown; charset=utf-8",
+  };
+  res.type(contentTypes[format]).send(document);
+});
+
+/**
+ * Parses "mn10:12.3", "mn10:12.3-12.7" or "mn10:12.3-mn10:12.7".
+ * Returns { uid, start, end, endUid } with bounds as bare segment numbers,
+ * or null.
+ */
+const parseSegmentRef = (ref) => {
+  const match = String(ref).match(
+    /^([^:]+):([^-:]+)(?:-(?:([^:]+):)?([^-:]+))?$/,
+  );
+  if (!match) return null;
+  return {
+    uid: match[1],
+    start: match[2],
+    end: match[4] || match[2],
+    // Set when the end repeats a uid, as in "mn10:12.3-mn10:12.7"
+    endUid: match[3] || match[1],
+  };
+};
+
+// A bound matches its own segment and any nested ones ("12" matches "12.3")
+const selectSegmentRange = (segmentIds, uid, start, end) => {
+  const matches = (id, bound) =>
+    id === `${uid}:${bound}` || id.startsWith(`${uid}:${bound}.`);
+  const first = segmentIds.findIndex((id) => matches(id, start));
+  if (first === -1) return [];
+  let last = -1;
+  segmentIds.forEach((id, i) => {
+    if (i >= first && matches(id, end)) last = i;
+  });
+  return last === -1 ? [] : segmentIds.slice(first, last + 1);
+};
+
+const pickSegments = (texts, segmentIds) => {
+  const picked = {};
+  segmentIds.forEach((id) => {
+    if (texts[id] !== undefined) picked[id] = texts[id];
+  });
+  return picked;
+};
+
+// Route: Get Previous / Next Sutta
+/**
+ * @openapi
+ * /api/navigation/{uid}:
+ *   get:
+ *     tags: [Navigation]
+ *     summary: Get the previous and next sutta
+ *     description: Returns the previous and next suttas in canonical menu order, crossing vagga and saṃyutta boundaries. Menu leaves without text in the index or legacy map are skipped.
+ *     parameters:
+ *       - in: path
+ *         name: uid
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The UID of the sutta (e.g., 'sn12.10').
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the neighbouring suttas. `previous` or `next` is null at either end.
+ *       404:
+ *         description: UID is not a sutta in the menus.
+ */
+app.get("/api/navigation/:uid", (req, res) => {
+  const { uid } = req.params;
+  const navigation = getNavigation(uid);
+  if (!navigation) {
+    return res.status(404).json({ error: "Sutta not found in menus" });
+  }
+  const sources = [SUTTA_INDEX_PATH, MENU_PARENTS_PATH, getLegacyMapPath()];
+  if (sendNotModified(req, res, "menu", sources)) return;
+  res.json({ uid, ...navigation });
+});
+
+// Route: Get Segment Range
+/**
+ * @openapi
+ * /api/segments/{ref}:
+ *   get:
+ *     tags: [Sutta]
+ *     summary: Get a segment or a range of segments with a citation
+ *     description: Returns only the requested segments of the root, translation, comment and variant texts, plus a formatted citation. Useful for quotes and study notes.
+ *     parameters:
+ *       - in: path
+ *         name: ref
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: A segment reference or range, e.g. 'mn10:12.3', 'mn10:12.3-12.7', or 'mn10:12' for a whole section.
+ *       - in: query
+ *         name: author
+ *         schema:
+ *           type: string
+ *         description: Optional author UID, as for /api/suttas/{uid}.
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *         description: Optional comma-separated language fallback chain, as for /api/suttas/{uid}.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the segments and citation.
+ *       400:
+ *         description: Malformed segment reference, or a range ending in another sutta.
+ *       404:
+ *         description: Sutta or segments not found.
+ */
+app.get("/api/segments/:ref", async (req, res) => {
+  const ref = parseSegmentRef(req.params.ref);
+  if (!ref) {
+    return res.status(400).json({
+      error: "Segment reference must look like 'mn10:12.3' or 'mn10:12.3-12.7'",
+    });
+  }
+  if (ref.endUid !== ref.uid) {
+    return res.status(400).json({
+      error: `A segment range cannot span suttas (${ref.uid} to ${ref.endUid})`,
+    });
+  }
+
+  const sourceFiles = [SUTTA_INDEX_PATH];
+  const content = await loadSuttaContent(
+    ref.uid,
+    req.query.author,
+    req.query.lang,
+    sourceFiles,
+  );
+  if (!content) {
+    return res.status(404).json({ error: "Sutta not found in index" });
+  }
+
+  // Segment order follows the root text; translation-only segments come last
+  const allSegmentIds = [
+    ...new Set([
+      ...Object.keys(content.root_text),
+      ...Object.keys(content.translation_text),
+    ]),
+  ];
+  const segmentIds = selectSegmentRange(
+    allSegmentIds,
+    ref.uid,
+    ref.start,
+    ref.end,
+  );
+  if (segmentIds.length === 0) {
+    return res.status(404).json({ error: "Segments not found" });
+  }
+  if (sendNotModified(req, res, "suttas", sourceFiles)) return;
+
+  // e.g. MN 10:12.3–12.7, “Mindfulness Meditation”, translated by Bhikkhu Sujato. SuttaCentral, https://suttacentral.net/mn10/en/sujato#12.3
+  const range = ref.start === ref.end ? ref.start : `${ref.start}–${ref.end}`;
+  const title = getTitle(ref.uid);
+  const translationText = pickSegments(content.translation_text, segmentIds);
+  const hasTranslation = Object.keys(translationText).length > 0;
+  const url = hasTranslation
+    ? `${SUTTACENTRAL_BASE}/${ref.uid}/${content.lang}/${content.author_uid}#${ref.start}`
+    : `${SUTTACENTRAL_BASE}/${ref.uid}#${ref.start}`;
+  let citation = `${getAcronym(ref.uid)}:${range}`;
+  if (title) citation += `, “${title}”`;
+  if (hasTranslation) citation += `, translated by ${content.author_name}`;
+  citation += `. SuttaCentral, ${url}`;
+
+  res.json({
+    uid: ref.uid,
+    ref: req.params.ref,
+    segment_ids: segmentIds,
+    author_uid: hasTranslation ? content.author_uid : null,
+    author_name: hasTranslation ? content.author_name : null,
+    lang: hasTranslation ? content.lang : null,
+    root_text: pickSegments(content.root_text, segmentIds),
+    translation_text: translationText,
+    comment_text: pickSegments(content.comment_text, segmentIds),
+    variant_text: pickSegments(content.variant_text, segmentIds),
+    citation,
+    url,
+  });
+});
+
+// Route: Full-Text Search
+/**
+ * @openapi
+ * /api/search:
+ *   get:
+ *     tags: [Search]
+ *     summary: Search root texts, translations and comments
+ *     description: Finds segments containing every word of the query. Matching ignores case and diacritics (e.g. 'nibbana' matches 'Nibbāna'). Results are ordered by sutta and segment. `total` counts the matches up to 1000 past the requested page; `total_capped` is true when there are more.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The search query (e.g., 'dependent origination').
+ *       - in: query
+ *         name: collection
+ *         schema:
+ *           type: string
+ *         description: Optional menu UID to restrict results to (e.g., 'sn', 'dn-silakkhandhavagga').
+ *       - in: query
+ *         name: author
+ *         schema:
+ *           type: string
+ *         description: Optional author UID (e.g., 'sujato', or 'ms' for the Pali root).
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [root, translation, comment]
+ *         description: Optional text type.
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *         description: Optional language code (e.g., 'en', 'de', or 'pli' for the root text).
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Matching segments with highlighted snippets.
+ *       400:
+ *         description: Missing or invalid query.
+ *       503:
+ *         description: Search index has not been built yet, or was built by an older version.
+ */
+app.get("/api/search", async (req, res) => {
+  const query = (req.query.q || "").trim();
+  const { collection, author, type, lang } = req.query;
+
+  const tokens = tokenize(query);
+  if (tokens.length === 0) {
+    return res.status(400).json({ error: "Query parameter 'q' is required" });
+  }
+  if (type && !["root", "translation", "comment"].includes(type)) {
+    return res
+      .status(400)
+      .json({ error: "type must be one of root, translation, comment" });
+  }
+
+  const index = await loadSearchIndex();
+  if (!index) {
+    return res.status(503).json({ error: "Search index not available" });
+  }
+
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+  // 1. Intersect segment postings, rarest term first
+  const postings = tokens
+    .map((token) => decodePostings(index.terms[token] || []))
+    .sort((a, b) => a.length - b.length);
+  const segmentNumbers = postings.reduce(intersectPostings);
+
+  // 2. Filter by document and pick the page. Past the page, matches are only
+  // counted, up to SEARCH_TOTAL_CAP.
+  const docMatches = new Map();
+  const matchesFilters = (doc) =>
+    (!type || doc.type === type) &&
+    (!author || doc.author === author) &&
+    (!lang || doc.lang === lang) &&
+    (!collection ||
+      doc.uid === collection ||
+      (index.collections[doc.uid] || []).includes(collection));
+
+  const offset = (page - 1) * limit;
+  const pageMatches = [];
+  let total = 0;
+  let totalCapped = false;
+  for (const [i, segment] of segmentNumbers.entries()) {
+    const docId = findSearchDoc(index.docs, segment);
+    if (!docMatches.has(docId)) {
+      docMatches.set(docId, matchesFilters(index.docs[docId]));
+    }
+    if (!docMatches.get(docId)) continue;
+
+    if (total >= offset && pageMatches.length < limit) {
+      const doc = index.docs[docId];
+      pageMatches.push({ doc, position: segment - doc.first_segment });
+    }
+    total++;
+    if (total >= offset + limit + SEARCH_TOTAL_CAP) {
+      totalCapped = i < segmentNumbers.length - 1;
+      break;
+    }
+  }
+
+  // 3. Read only the files holding the page's segments
+  const files = new Map();
+  await Promise.all(
+    [...new Set(pageMatches.map(({ doc }) => doc.path))].map(
+      async (docPath) => {
+        try {
+          const text = await fs.promises.readFile(
+            path.join(BILARA_BASE, docPath),
+            "utf8",
+          );
+          files.set(docPath, Object.entries(JSON.parse(text)));
+        } catch (err) {
+          console.warn(`⚠️ Search could not read ${docPath}:`, err.message);
+        }
+      },
+    ),
+  );
+
+  const results = pageMatches
+    .filter(({ doc, position }) => (files.get(doc.path) || [])[position])
+    .map(({ doc, position }) => {
+      const [segmentId, text] = files.get(doc.path)[position];
+      return {
+        uid: doc.uid,
+        segment_id: segmentId,
+        type: doc.type,
+        lang: doc.lang,
+        author_uid: doc.author,
+        snippet: highlight(text, tokens),
+      };
+    });
+
+  res.json({
+    query,
+    total,
+    total_capped: totalCapped,
+    page,
+    limit,
+    results,
+  });
+});
+
+// Route: Trigger Offline Build Pipeline
+
+/**
+ * @openapi
+ * /api/admin/build-offline:
+ *   post:
+ *     tags: [Admin]
+ *     security:
+ *       - adminToken: []
+ *     summary: Trigger the offline data build pipeline
+ *     description: Starts the asynchronous process of pulling data from Git repositories, fetching menu structures, downloading legacy fallbacks, and generating the final offline zip bundle. The optional body selects steps (sync, commit, menus, suttaplex, stage, cleanup, index, legacy, check, bundle, version, promote) like the pipeline's command line options.
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               only:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Run only these steps.
+ *               from:
+ *                 type: string
+ *                 description: Run this step and every step after it.
+ *               skip:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Leave out these steps.
+ *               resume:
+ *                 type: boolean
+ *                 description: Continue the last build of the current commit from its failed step.
+ *     responses:
+ *       202:
+ *         description: Build pipeline started successfully.
+ *       400:
+ *         description: Unknown step name or conflicting options.
+ *       409:
+ *         description: A build process is already in progress.
+ *       500:
+ *         description: Internal error starting the build script.
+ *       401:
+ *         description: Missing or invalid admin token.
+ *       403:
+ *         description: The token lacks the build scope.
+ *       503:
+ *         description: No admin tokens are configured.
+ */
+app.post("/api/admin/build-offline", requireAdmin("build"), (req, res) => {
+  if (buildProcess && !buildProcess.killed && buildProcess.exitCode === null) {
+    return res
+      .status(409)
+      .json({ error: "A build process is already running." });
+  }
+
+  // Body options map onto the pipeline's command line options
+  const { only, from, skip, resume } = req.body || {};
+  const list = (value) => (Array.isArray(value) ? value.join(",") : value);
+  const args = [
+    ...(only ? ["--only", list(only)] : []),
+    ...(from ? ["--from", from] : []),
+    ...(skip ? ["--skip", list(skip)] : []),
+    ...(resume ? ["--resume"] : []),
+  ].map(String);
+  try {
+    parsePipelineArgs(args);
+  } catch (err) {
+    return res.status(400).json({ error: err.message, steps: STEP_NAMES });
+  }
+
+  triggerOfflineBuild(req.admin.name, {}, args);
+
+  if (!buildProcess) {
+    return res.status(500).json({ error: "Build script not found." });
+  }
+
+  res.location(`/api/admin/builds/${currentBuild.id}`).status(202).json({
+    message: "Build pipeline started asynchronously.",
+    id: currentBuild.id,
+  });
+});
+
+// Route: List Builds
+/**
+ * @openapi
+ * /api/admin/builds:
+ *   get:
+ *     tags: [Admin]
+ *     security:
+ *       - adminToken: []
+ *     summary: List past and running builds
+ *     description: Returns the persisted build history, newest first. Each build has its id, status (running, complete, failed, cancelled or interrupted), who triggered it, start and end time, exit code, bilara commit, release, bundle size, per-step durations and warnings. Logs are only included by /api/admin/builds/{id}.
+ *     responses:
+ *       200:
+ *         description: The recorded builds.
+ *       401:
+ *         description: Missing or invalid admin token.
+ *       403:
+ *         description: The token lacks the logs scope.
+ *       503:
+ *         description: No admin tokens are configured.
+ */
+app.get("/api/admin/builds", requireAdmin("logs"), (req, res) => {
+  res.json({ builds: listBuilds() });
+});
+
+// Route: Get Build
+/**
+ * @openapi
+ * /api/admin/builds/{id}:
+ *   get:
+ *     tags: [Admin]
+ *     security:
+ *       - adminToken: []
+ *     summary: Get one build with its full log
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Build id, e.g. 20261019T110930Z-3f9a1c
+ *     responses:
+ *       200:
+ *         description: The build record with every log line.
+ *       404:
+ *         description: Unknown build id.
+ *       401:
+ *         description: Missing or invalid admin token.
+ *       403:
+ *         description: The token lacks the logs scope.
+ *       503:
+ *         description: No admin tokens are configured.
+ *   delete:
+ *     tags: [Admin]
+ *     security:
+ *       - adminToken: []
+ *     summary: Cancel a running build
+ *     description: Stops the pipeline and the commands it runs. The staged release is discarded, so the served data is unchanged. The build is recorded as cancelled.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: Cancellation requested; follow it on /api/admin/build-events.
+ *       404:
+ *         description: Unknown build id.
+ *       409:
+ *         description: The build is not running.
+ *       401:
+ *         description: Missing or invalid admin token.
+ *       403:
+ *         description: The token lacks the build scope.
+ *       503:
+ *         description: No admin tokens are configured.
+ */
+app.get("/api/admin/builds/:id", requireAdmin("logs"), (req, res) => {
+  const build = getBuild(req.params.id);
+  if (!build) return res.status(404).json({ error: "Build not found" });
+  res.json(build);
+});
+
+app.delete("/api/admin/builds/:id", requireAdmin("build"), (req, res) => {
+  const { id } = req.params;
+  if (!currentBuild || currentBuild.id !== id) {
+    return getBuild(id)
+      ? res.status(409).json({ error: `Build ${id} is not running.` })
+      : res.status(404).json({ error: "Build not found" });
+  }
+  if (currentBuild.cancelled_by) {
+    return res.status(202).json({ message: `Build ${id} is being cancelled.` });
+  }
+
+  currentBuild.cancelled_by = req.admin.name;
+  saveBuild(currentBuild);
+  appendLog(`🛑 Cancel requested by ${req.admin.name}`);
+  stopBuildProcess(buildProcess);
+  res.status(202).json({ message: `Build ${id} is being cancelled.` });
+});
+
+// Route: Reload Data
+/**
+ * @openapi
+ * /api/admin/reload:
+ *   post:
+ *     tags: [Admin]
+ *     security:
+ *       - adminToken: []
+ *     summary: Reload the index and metadata
+ *     description: Re-reads the sutta index, author and publication metadata and legacy map from disk and swaps them in atomically. Runs automatically after a successful build.
+ *     responses:
+ *       200:
+ *         description: Data reloaded. Returns the number of loaded entries.
+ *       500:
+ *         description: A data file could not be read; the previous data is still served.
+ *       401:
+ *         description: Missing or invalid admin token.
+ *       403:
+ *         description: The token lacks the build scope.
+ *       503:
+ *         description: No admin tokens are configured.
+ */
+app.post("/api/admin/reload", requireAdmin("build"), (req, res) => {
+  try {
+    const summary = reloadData();
+    res.json({ message: "Data reloaded.", ...summary });
+  } catch (err) {
+    console.error("❌ Data reload failed:", err);
+    res.status(500).json({ error: `Data reload failed: ${err.message}` });
+  }
+});
+
+// Route: List Data Releases
+/**
+ * @openapi
+ * /api/admin/releases:
+ *   get:
+ *     tags: [Admin]
+ *     security:
+ *       - adminToken: []
+ *     summary: List the data releases kept on disk
+ *     description: Every successful build is promoted to a release under data/releases and data/current is switched to it. Lists the kept releases, newest first, with their commit and which one is being served.
+ *     responses:
+ *       200:
+ *         description: The current release id (null before the first promoted build) and all kept releases.
+ *       401:
+ *         description: Missing or invalid admin token.
+ *       403:
+ *         description: The token lacks the logs scope.
+ *       503:
+ *         description: No admin tokens are configured.
+ */
+app.get("/api/admin/releases", requireAdmin("logs"), (req, res) => {
+  res.json({ current: getCurrentRelease(), releases: listReleases() });
+});
+
+let dataCheck = null;
+
+/**
+ * Checks the served data in a child process, since walking the whole corpus
+ * would block every other request. Concurrent refreshes share one check.
+ */
+const runDataCheck = () => {
+  if (dataCheck) return dataCheck;
+  dataCheck = new Promise((resolve, reject) => {
+    const child = fork(
+      path.join(__dirname, "scripts/check_data.js"),
+      ["--send"],
+      {
+        cwd: __dirname,
+        env: { ...process.env, DATA_ROOT },
+      },
+    );
+    let result = null;
+    child.on("message", (message) => {
+      result = message;
+    });
+    child.on("error", reject);
+    child.on("exit", (code) => {
+      if (result && result.type === "report") return resolve(result.report);
+      const error = result ? result.error : `exited with code ${code}`;
+      reject(new Error(error));
+    });
+  }).finally(() => {
+    dataCheck = null;
+  });
+  return dataCheck;
+};
+
+// Route: Data Integrity Report
+/**
+ * @openapi
+ * /api/admin/data-report:
+ *   get:
+ *     tags: [Admin]
+ *     security:
+ *       - adminToken: []
+ *     summary: Get the data integrity report of the served data
+ *     description: Returns the report the pipeline's check step wrote for the current release, cross-checking menus, sutta index, legacy map and Bilara files. It lists unreachable menu leaves, broken index and legacy paths, orphan html/comment/variant/reference files, roots without html and indexed suttas missing from the menus, with their counts and the `DATA_CHECK_MAX_*` thresholds they exceed.
+ *     parameters:
+ *       - in: query
+ *         name: refresh
+ *         schema:
+ *           type: boolean
+ *         description: Check the served data now instead of returning the saved report.
+ *       - in: query
+ *         name: summary
+ *         schema:
+ *           type: boolean
+ *         description: Leave out the lists of findings and only return their counts.
+ *     responses:
+ *       200:
+ *         description: The data integrity report.
+ *       404:
+ *         description: No report was saved for the served data; use `refresh=true`.
+ *       401:
+ *         description: Missing or invalid admin token.
+ *       403:
+ *         description: The token lacks the logs scope.
+ *       503:
+ *         description: No admin tokens are configured.
+ */
+app.get("/api/admin/data-report", requireAdmin("logs"), async (req, res) => {
+  const reportPath = path.join(DATA_ROOT, REPORT_FILE);
+  let report;
+  try {
+    if (req.query.refresh === "true") {
+      report = await runDataCheck();
+    } else if (fs.existsSync(reportPath)) {
+      report = JSON.parse(fs.readFileSync(reportPath, "utf8"));
+    } else {
+      return res.status(404).json({
+        error:
+          "No data report saved for the served data. Run a build or use ?refresh=true.",
+      });
+    }
+  } catch (err) {
+    console.error("❌ Data check failed:", err);
+    return res.status(500).json({ error: `Data check failed: ${err.message}` });
+  }
+
+  if (req.query.summary === "true") {
+    Object.keys(FINDINGS).forEach((finding) => delete report[finding]);
+  }
+  res.json(report);
+});
+
+// Route: Roll Back Data
+/**
+ * @openapi
+ * /api/admin/rollback:
+ *   post:
+ *     tags: [Admin]
+ *     security:
+ *       - adminToken: []
+ *     summary: Switch back to an earlier data release
+ *     description: Points data/current at another kept release, publishes the bundles it built again (data.zip, data.json, collections and deltas) and reloads the data. Without a body it rolls back to the release before the current one.
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               release:
+ *                 type: string
+ *                 description: Id of the release to switch to, as listed by /api/admin/releases.
+ *     responses:
+ *       200:
+ *         description: Data now served from the chosen release.
+ *       404:
+ *         description: The release does not exist, or there is no earlier release.
+ *       409:
+ *         description: A build is running, or the public bundles of the release were not kept.
+ *       500:
+ *         description: The release could not be loaded; the previous release is still served.
+ *       401:
+ *         description: Missing or invalid admin token.
+ *       403:
+ *         description: The token lacks the build scope.
+ *       503:
+ *         description: No admin tokens are configured.
+ */
+app.post("/api/admin/rollback", requireAdmin("build"), (req, res) => {
+  if (buildProcess) {
+    return res
+      .status(409)
+      .json({ error: "Cannot roll back while a build is running." });
+  }
+  if (config.dataRoot) {
+    return res
+      .status(404)
+      .json({ error: "Data releases are not available on this server." });
+  }
+
+  const releases = listReleases();
+  const currentIndex = releases.findIndex((release) => release.current);
+  const targetId =
+    (req.body && req.body.release) ||
+    (currentIndex >= 0 && releases[currentIndex + 1]
+      ? releases[currentIndex + 1].id
+      : null);
+  const target = releases.find((release) => release.id === targetId);
+  if (!target) {
+    return res.status(404).json({
+      error: targetId
+        ? `Release not found: ${targetId}`
+        : "No earlier release to roll back to.",
+      releases: releases.map((release) => release.id),
+    });
+  }
+
+  // Clients would download bundles that disagree with the served data
+  if (!hasPublicBundles(target.id)) {
+    return res.status(409).json({
+      error: `The public bundles of release ${target.id} were not kept; run a build instead.`,
+    });
+  }
+
+  const previous = fs.realpathSync(CURRENT_LINK);
+  const previousBundles = getPublishedRelease();
+  let bundles = [];
+  try {
+    switchRelease(target.id);
+    bundles = switchPublicBundles(target.id);
+    const summary = reloadData();
+    console.log(`⏪ Rolled back data to release ${target.id}`);
+    res.json({
+      message: `Now serving release ${target.id}.`,
+      release: { ...target, current: true },
+      bundles,
+      ...summary,
+    });
+  } catch (err) {
+    console.error("❌ Rollback failed:", err);
+    // Put the link and bundles back; the in-memory data was never replaced
+    pointCurrentAt(previous);
+    if (bundles.length) switchPublicBundles(previousBundles);
+    res.status(500).json({ error: `Rollback failed: ${err.message}` });
+  }
+});
+
+// Route: Get Build Status/Logs
+/**
+ * @openapi
+ * /api/admin/build-status:
+ *   get:
+ *     tags: [Admin]
+ *     security:
+ *       - adminToken: []
+ *     summary: Get build progress and logs
+ *     description: Returns the real-time stdout/stderr logs and running state of the building pipeline.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved build status and recent logs.
+ *       401:
+ *         description: Missing or invalid admin token.
+ *       403:
+ *         description: The token lacks the logs scope.
+ *       503:
+ *         description: No admin tokens are configured.
+ */
+app.get("/api/admin/build-status", requireAdmin("logs"), (req, res) => {
+  const isRunning = buildProcess !== null;
+  res.json({
+    isRunning,
+    dataLoadedAt,
+    progress: buildProgress,
+    schedule: buildSchedule && {
+      expression: config.buildSchedule,
+      next_run: buildSchedule.nextRun(),
+    },
+    logs: buildLogs,
+  });
+});
+
+// Route: Stream Build Progress
+/**
+ * @openapi
+ * /api/admin/build-events:
+ *   get:
+ *     tags: [Admin]
+ *     security:
+ *       - adminToken: []
+ *     summary: Stream build progress as Server-Sent Events
+ *     description: Opens a text/event-stream. A status event with the current progress summary is sent first, then progress events (step, items, warning, complete, failed) from the pipeline, log events for each log line and an end event with the exit code. Browsers using EventSource can pass the token as the access_token query parameter.
+ *     parameters:
+ *       - in: query
+ *         name: access_token
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Admin token, for clients that cannot set the Authorization header.
+ *     responses:
+ *       200:
+ *         description: Event stream of the running build.
+ *       401:
+ *         description: Missing or invalid admin token.
+ *       403:
+ *         description: The token lacks the logs scope.
+ *       503:
+ *         description: No admin tokens are configured.
+ */
+app.get("/api/admin/build-events", requireAdmin("logs"), (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // Stops nginx from buffering the stream
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write(
+    `event: status\ndata: ${JSON.stringify({ isRunning: buildProcess !== null, progress: buildProgress })}\n\n`,
+  );
+
+  buildEventClients.add(res);
+  // Comment lines keep idle proxies from closing the connection
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    buildEventClients.delete(res);
+  });
+});
+
+/**
+ * Serves the core archive plus the requested collections. A request for the
+ * core archive alone is served as is; other combinations are merged into one
+ * ZIP, cached under public/collections/assembled until the next build.
+ */
+const downloadCollections = async (req, res) => {
+  const manifest = fs.existsSync(COLLECTIONS_MANIFEST_FILE)
+    ? JSON.parse(fs.readFileSync(COLLECTIONS_MANIFEST_FILE, "utf8"))
+    : null;
+  if (!manifest) {
+    return res.status(404).json({
+      error:
+        "Collection bundles have not been generated yet. Download the full bundle instead.",
+    });
+  }
+
+  const archivesByName = Object.fromEntries(
+    manifest.archives.map((archive) => [archive.name, archive]),
+  );
+  const requested = [
+    ...new Set(
+      String(req.query.collections)
+        .split(",")
+        .map((name) => name.trim())
+        .filter(Boolean),
+    ),
+  ];
+  const unknown = requested.filter((name) => !archivesByName[name]);
+  if (requested.length === 0 || unknown.length > 0) {
+    return res.status(400).json({
+      error: `Unknown collection(s): ${unknown.join(", ") || "none given"}`,
+      available: Object.keys(archivesByName),
+    });
+  }
+
+  const names = [
+    manifest.core,
+    ...requested.filter((name) => name !== manifest.core).sort(),
+  ];
+  if (names.length === 1) {
+    const archive = archivesByName[manifest.core];
+    return res.download(path.join(COLLECTIONS_DIR, archive.file), archive.file);
+  }
+
+  const fileName = `data-${names.join("-")}.zip`;
+  const assembledPath = path.join(COLLECTIONS_DIR, "assembled", fileName);
+  if (!fs.existsSync(assembledPath)) {
+    const merged = new JSZip();
+    for (const name of names) {
+      const archivePath = path.join(COLLECTIONS_DIR, archivesByName[name].file);
+      const zip = await JSZip.loadAsync(fs.readFileSync(archivePath));
+      zip.forEach((relativePath, entry) => {
+        if (!entry.dir) merged.file(relativePath, entry.async("nodebuffer"));
+      });
+    }
+    // Write to a temporary file so concurrent requests never see a partial ZIP
+    fs.mkdirSync(path.dirname(assembledPath), { recursive: true });
+    const tmpPath = `${assembledPath}.${process.pid}.${Date.now()}.tmp`;
+    await writeZip(merged, tmpPath);
+    fs.renameSync(tmpPath, assembledPath);
+    console.log(`📦 Assembled ${fileName}`);
+  }
+  res.download(assembledPath, fileName);
+};
+
+// Route: Download the Zip file
+/**
+ * @openapi
+ * /api/public/download-data:
+ *   get:
+ *     tags: [Public]
+ *     summary: Download the offline data bundle
+ *     description: Serves the latest generated `data.zip` file containing the entire offline dataset, including the prebuilt SQLite database `generated/sutta.sqlite` (index, menus, metadata and FTS5 segment search). With `collections`, serves the shared core archive (menus, index, metadata) plus only the requested collections, merged into one ZIP.
+ *     parameters:
+ *       - in: query
+ *         name: collections
+ *         schema:
+ *           type: string
+ *         description: Optional comma-separated collection names from `/api/public/collections` (e.g., 'dn,mn').
+ *     responses:
+ *       200:
+ *         description: ZIP file download initiated.
+ *       400:
+ *         description: Unknown collection requested.
+ *       404:
+ *         description: The data bundle hasn't been generated yet.
+ */
+app.get("/api/public/download-data", async (req, res) => {
+  if (req.query.collections) {
+    return downloadCollections(req, res);
+  }
+
+  const zipPath = path.join(PUBLIC_DIR, "data.zip");
+
+  if (fs.existsSync(zipPath)) {
+    res.download(zipPath, "data.zip");
+  } else {
+    // If on Vercel/Missing, redirect to GitHub Release
+    const remoteUrl = `${RELEASE_REMOTE_BASE}/data.zip`;
+    console.log(`🌐 ZIP missing locally. Redirecting to: ${remoteUrl}`);
+    res.redirect(remoteUrl);
+  }
+});
+
+// Route: Get Collection Bundle Manifest
+/**
+ * @openapi
+ * /api/public/collections:
+ *   get:
+ *     tags: [Public]
+ *     summary: List the per-collection data bundles
+ *     description: Returns the manifest of the per-collection archives (e.g., `dn`, `mn`, `vinaya`) and the shared `core` archive, with each archive's file name, file count, size in bytes and SHA-256.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the collection manifest.
+ */
+app.get("/api/public/collections", (req, res) => {
+  if (fs.existsSync(COLLECTIONS_MANIFEST_FILE)) {
+    res.sendFile(COLLECTIONS_MANIFEST_FILE);
+  } else {
+    const remoteUrl = `${RELEASE_REMOTE_BASE}/collections.json`;
+    console.log(
+      `🌐 Collection manifest missing locally. Redirecting to: ${remoteUrl}`,
+    );
+    res.redirect(remoteUrl);
+  }
+});
+
+// Route: Download/View Version Data JSON
+/**
+ * @openapi
+ * /api/public/data-version:
+ *   get:
+ *     tags: [Public]
+ *     summary: Get data version information
+ *     description: Returns the Git commit hash and timestamp of the data currently served in the offline bundle.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved version metadata.
+ *       404:
+ *         description: Version information not found.
+ */
+app.get("/api/public/data-version", async (req, res) => {
+  if (fs.existsSync(VERSION_PATH)) {
+    res.sendFile(VERSION_PATH);
+  } else {
+    // Redirect to GitHub Release version
+    const remoteUrl = `${RELEASE_REMOTE_BASE}/data.json`;
+    console.log(
+      `🌐 Version info missing locally. Redirecting to: ${remoteUrl}`,
+    );
+    res.redirect(remoteUrl);
+  }
+});
+
+// Local public/data.json, or the one from the latest GitHub Release
+const readVersionInfo = async () => {
+  try {
+    if (fs.existsSync(VERSION_PATH)) {
+      return JSON.parse(fs.readFileSync(VERSION_PATH, "utf8"));
+    }
+    const remoteUrl = `${RELEASE_REMOTE_BASE}/data.json`;
+    console.log(`🌐 Version info missing locally. Fetching: ${remoteUrl}`);
+    const response = await fetch(remoteUrl);
+    if (response.ok) return await response.json();
+  } catch (err) {
+    console.error("Error reading version info:", err);
+  }
+  return null;
+};
+
+// Route: Download a delta bundle
+/**
+ * @openapi
+ * /api/public/data-diff:
+ *   get:
+ *     tags: [Public]
+ *     summary: Download the changes since a data version
+ *     description: Serves a delta ZIP from the given commit to the current data version. It contains `delta.json` (`from`, `to`, `added`, `changed` and `deleted` file paths) plus the contents of every added or changed file. When no delta exists for that commit, a JSON response tells the client to download the full bundle instead.
+ *     parameters:
+ *       - in: query
+ *         name: since
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The data commit the client currently has (the `commit` from `/api/public/data-version`).
+ *     responses:
+ *       200:
+ *         description: Delta ZIP download, or JSON with `up_to_date` or `full_download` set.
+ *       400:
+ *         description: Missing `since` parameter.
+ *       404:
+ *         description: Version information not found.
+ */
+app.get("/api/public/data-diff", async (req, res) => {
+  const since = (req.query.since || "").trim();
+  if (!since) {
+    return res
+      .status(400)
+      .json({ error: "Query parameter 'since' is required" });
+  }
+
+  const version = await readVersionInfo();
+  if (!version) {
+    return res.status(404).json({ error: "Version information not found" });
+  }
+  if (since === version.commit) {
+    return res.json({ up_to_date: true, commit: version.commit });
+  }
+  if (!(version.deltas || []).includes(since)) {
+    return res.json({
+      up_to_date: false,
+      full_download: true,
+      commit: version.commit,
+      url: "/api/public/download-data",
+    });
+  }
+
+  const fileName = deltaFileName(since);
+  const deltaPath = path.join(DELTAS_DIR, fileName);
+  if (fs.existsSync(deltaPath)) {
+    res.download(deltaPath, fileName);
+  } else {
+    const remoteUrl = `${RELEASE_REMOTE_BASE}/${fileName}`;
+    console.log(`🌐 Delta missing locally. Redirecting to: ${remoteUrl}`);
+    res.redirect(remoteUrl);
+  }
+});
+
+/**
+ * Starts listening, together with the background jobs: the bootstrap build
+ * when no data is present, WATCH_DATA and BUILD_SCHEDULE. Requiring this
+ * file only sets up the app (with its data loaded), as the tests do.
+ */
+const startServer = () => {
+  if (config.configFile) {
+    console.log(`⚙️ Configuration read from ${config.configFile}`);
+  }
+
+  // The pipeline runs in its own process group, so stop it with the server
+  process.on("exit", () => {
+    if (buildProcess) stopBuildProcess(buildProcess);
+  });
+  ["SIGINT", "SIGTERM", "SIGHUP"].forEach((signal) =>
+    process.once(signal, () =>
+      process.exit(128 + os.constants.signals[signal]),
+    ),
+  );
+  // Builds that were running when the server stopped never finished
+  markInterruptedBuilds();
+
+  if (!fs.existsSync(SUTTA_INDEX_PATH)) {
+    console.warn("⚠️ Sutta index not found. Offline data is missing.");
+    // Automatic trigger if index is completely missing
+    setTimeout(() => {
+      console.log("🚀 Starting automatic bootstrap build...");
+      buildProcess = triggerOfflineBuild();
+    }, 1000);
+  }
+
+  if (config.watchData) watchDataFiles();
+
+  // BUILD_SCHEDULE is a cron expression in UTC, e.g. "0 3 * * *"
+  if (config.buildSchedule) {
+    buildSchedule = scheduleCron(config.buildSchedule, runScheduledBuild);
+    const nextRun = buildSchedule.nextRun();
+    console.log(
+      `⏰ Scheduled builds (${config.buildSchedule}); next check at ${nextRun ? nextRun.toISOString() : "never"}`,
+    );
+  }
+
+  return app.listen(PORT, () => {
+    console.log(`Server running at http://localhost:${PORT}`);
+  });
+};
+
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = app;
@@ -0,0 +1,173 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { config } = require("./config");
+
+/**
+ * Bearer-token authentication for the /api/admin routes.
+ *
+ * Tokens are configured with any of:
+ * - ADMIN_TOKEN: a single token named "admin" with every scope
+ * - ADMIN_TOKENS: comma-separated `name:token[:scope+scope]` entries,
+ *   e.g. "ci:s3cret:build,grafana:t0ken:logs" (no scopes means all)
+ * - ADMIN_TOKENS_FILE: a JSON file with `[{ "name", "token", "scopes" }]`
+ *
+ * Scopes: "build" starts builds and changes the served data (build, reload,
+ * rollback); "logs" reads build status and releases. "*" grants both.
+ */
+
+const ADMIN_SCOPES = ["build", "logs"];
+const ALL_SCOPES = "*";
+const AUDIT_LOG_PATH = config.adminAuditLog;
+
+function parseTokenList(value) {
+  return value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [name, token, scopes] = entry.split(":");
+      return {
+        name,
+        token,
+        scopes: scopes ? scopes.split("+") : [ALL_SCOPES],
+      };
+    });
+}
+
+/**
+ * Reads the configured tokens (`adminToken`, `adminTokens` and
+ * `adminTokensFile` of config.js). Throws on malformed entries or unknown
+ * scopes so a typo does not silently lock out (or open up) the admin API.
+ */
+function loadAdminTokens(settings = config) {
+  const tokens = [];
+  if (settings.adminToken) {
+    tokens.push({
+      name: "admin",
+      token: settings.adminToken,
+      scopes: [ALL_SCOPES],
+    });
+  }
+  if (settings.adminTokens) {
+    tokens.push(...parseTokenList(settings.adminTokens));
+  }
+  if (settings.adminTokensFile) {
+    const fileTokens = JSON.parse(
+      fs.readFileSync(settings.adminTokensFile, "utf8"),
+    );
+    tokens.push(
+      ...fileTokens.map(({ name, token, scopes }) => ({
+        name,
+        token,
+        scopes: scopes && scopes.length ? scopes : [ALL_SCOPES],
+      })),
+    );
+  }
+
+  tokens.forEach(({ name, token, scopes }) => {
+    if (!name || !token) {
+      throw new Error("Every admin token needs a name and a token value.");
+    }
+    const unknown = scopes.filter(
+      (scope) => scope !== ALL_SCOPES && !ADMIN_SCOPES.includes(scope),
+    );
+    if (unknown.length) {
+      throw new Error(
+        `Admin token "${name}" has unknown scope(s): ${unknown.join(", ")}`,
+      );
+    }
+  });
+  return tokens;
+}
+
+// Hashing first gives equal-length buffers, as timingSafeEqual requires
+const digest = (value) => crypto.createHash("sha256").update(value).digest();
+
+function findToken(tokens, presented) {
+  const presentedDigest = digest(presented);
+  return tokens.find(({ token }) =>
+    crypto.timingSafeEqual(digest(token), presentedDigest),
+  );
+}
+
+/**
+ * Appends one JSON line per admin request (allowed or not) to the audit log.
+ */
+function writeAuditEntry(entry) {
+  const line = JSON.stringify({ time: new Date().toISOString(), ...entry });
+  console.log(`🔐 Admin audit: ${line}`);
+  try {
+    fs.mkdirSync(path.dirname(AUDIT_LOG_PATH), { recursive: true });
+    fs.appendFileSync(AUDIT_LOG_PATH, `${line}\n`);
+  } catch (err) {
+    console.error("❌ Could not write the admin audit log:", err.message);
+  }
+}
+
+/**
+ * Express middleware factory: requires a bearer token holding `scope`.
+ * Answers 401 without a valid token, 403 when the token lacks the scope and
+ * 503 when no tokens are configured. The token name is set on `req.admin`.
+ */
+function createAdminAuth(tokens = loadAdminTokens()) {
+  if (!tokens.length) {
+    console.warn(
+      "⚠️ No admin tokens configured (ADMIN_TOKEN, ADMIN_TOKENS or ADMIN_TOKENS_FILE); the admin API is disabled.",
+    );
+  }
+
+  return (scope) => (req, res, next) => {
+    const audit = (admin, status) =>
+      writeAuditEntry({
+        admin,
+        scope,
+        method: req.method,
+        // Without the query string, which may hold an access_token
+        path: req.baseUrl + req.path,
+        ip: req.ip,
+        status,
+      });
+
+    if (!tokens.length) {
+      audit(null, 503);
+      return res.status(503).json({
+        error: "The admin API is disabled: no admin tokens are configured.",
+      });
+    }
+
+    // EventSource cannot send headers, so ?access_token= is accepted too
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get("Authorization") || "");
+    const presented = match ? match[1] : req.query.access_token;
+    const token = typeof presented === "string" && findToken(tokens, presented);
+    if (!token) {
+      audit(null, 401);
+      res.set("WWW-Authenticate", 'Bearer realm="admin"');
+      return res
+        .status(401)
+        .json({ error: "A valid admin bearer token is required." });
+    }
+
+    if (!token.scopes.includes(ALL_SCOPES) && !token.scopes.includes(scope)) {
+      audit(token.name, 403);
+      res.set(
+        "WWW-Authenticate",
+        `Bearer realm="admin", error="insufficient_scope", scope="${scope}"`,
+      );
+      return res.status(403).json({
+        error: `Token "${token.name}" lacks the "${scope}" scope.`,
+      });
+    }
+
+    req.admin = { name: token.name, scopes: token.scopes };
+    res.on("finish", () => audit(token.name, res.statusCode));
+    next();
+  };
+}
+
+module.exports = {
+  ADMIN_SCOPES,
+  AUDIT_LOG_PATH,
+  loadAdminTokens,
+  createAdminAuth,
+};
@@ -0,0 +1,112 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { config } = require("./config");
+
+/**
+ * Persisted history of pipeline runs started by the server. Each build has
+ * `<id>.json` (status, times, exit code, commit, bundle size, per-step
+ * durations, warnings) and `<id>.log` (every log line) in BUILD_HISTORY_DIR.
+ */
+
+const BUILD_HISTORY_DIR = config.buildHistoryDir;
+// Builds kept on disk, newest first
+const BUILD_HISTORY_LIMIT = config.buildHistoryLimit;
+
+const recordPath = (id) => path.join(BUILD_HISTORY_DIR, `${id}.json`);
+const logPath = (id) => path.join(BUILD_HISTORY_DIR, `${id}.log`);
+
+// Ids sort chronologically, e.g. 20261019T110930Z-3f9a1c
+function createBuildId() {
+  const timestamp = new Date()
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d+Z$/, "Z");
+  return `${timestamp}-${crypto.randomBytes(3).toString("hex")}`;
+}
+
+// Ids come from URLs, so only the generated shape is accepted
+const isBuildId = (id) => /^\d{8}T\d{6}Z-[0-9a-f]{6}$/.test(id);
+
+// Written via a temp file so a crash never leaves half a record
+function saveBuild(build) {
+  fs.mkdirSync(BUILD_HISTORY_DIR, { recursive: true });
+  const tmpPath = `${recordPath(build.id)}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(build, null, 2));
+  fs.renameSync(tmpPath, recordPath(build.id));
+}
+
+function appendBuildLog(id, line) {
+  fs.mkdirSync(BUILD_HISTORY_DIR, { recursive: true });
+  fs.appendFileSync(logPath(id), `${line}\n`);
+}
+
+function readBuild(id) {
+  try {
+    return JSON.parse(fs.readFileSync(recordPath(id), "utf8"));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Lists the recorded builds, newest first, without their logs.
+ */
+function listBuilds() {
+  if (!fs.existsSync(BUILD_HISTORY_DIR)) return [];
+  return fs
+    .readdirSync(BUILD_HISTORY_DIR)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => readBuild(path.basename(file, ".json")))
+    .filter(Boolean)
+    .sort((a, b) => b.id.localeCompare(a.id));
+}
+
+/**
+ * Returns one build with its full log, or null when it is unknown.
+ */
+function getBuild(id) {
+  if (!isBuildId(id)) return null;
+  const build = readBuild(id);
+  if (!build) return null;
+  const log = fs.existsSync(logPath(id))
+    ? fs.readFileSync(logPath(id), "utf8").split("\n").filter(Boolean)
+    : [];
+  return { ...build, log };
+}
+
+/**
+ * Builds still marked running were cut off by a server restart.
+ */
+function markInterruptedBuilds() {
+  listBuilds()
+    .filter((build) => build.status === "running")
+    .forEach((build) => {
+      saveBuild({
+        ...build,
+        status: "interrupted",
+        ended_at: build.ended_at || new Date().toISOString(),
+      });
+      console.warn(`⚠️ Build ${build.id} was interrupted by a restart.`);
+    });
+}
+
+function pruneBuilds() {
+  listBuilds()
+    .slice(BUILD_HISTORY_LIMIT)
+    .forEach(({ id }) => {
+      fs.rmSync(recordPath(id), { force: true });
+      fs.rmSync(logPath(id), { force: true });
+    });
+}
+
+module.exports = {
+  BUILD_HISTORY_DIR,
+  createBuildId,
+  saveBuild,
+  appendBuildLog,
+  listBuilds,
+  getBuild,
+  markInterruptedBuilds,
+  pruneBuilds,
+};
@@ -1,11 +1,33 @@
 const fs = require("fs");
 const path = require("path");
+const {
+  SPLIT_PITAKAS,
+  buildMenuTree,
+  getAncestors,
+  getCollection,
+} = require("./menu_tree");
+const {
+  SEARCH_INDEX_FILE,
+  SEARCH_INDEX_VERSION,
+  tokenize,
+  encodePostings,
+} = require("./search_utils");
+const { getDataRoot } = require("./data_releases");
+const { config } = require("./config");
+const {
+  INDEX_SCHEMA_VERSION,
+  PATH_BASES,
+  toPosixPath,
+} = require("./sutta_index");
 
-const BASE_DIR = path.join(__dirname, "../data/bilara-data-published");
+const DATA_ROOT = getDataRoot();
+const BASE_DIR = path.join(DATA_ROOT, "bilara-data-published");
 const ROOT_DIR = path.join(BASE_DIR, "root/pli/ms");
-const TRANSLATION_DIR = path.join(BASE_DIR, "translation/en");
-const OUTPUT_FILE = path.join(__dirname, "../data/generated/sutta_index.json");
+const TRANSLATION_DIR = path.join(BASE_DIR, "translation");
+const COMMENT_DIR = path.join(BASE_DIR, "comment");
+const OUTPUT_FILE = path.join(DATA_ROOT, "generated/sutta_index.json");
 const OUTPUT_DIR = path.dirname(OUTPUT_FILE);
+const MENU_PARENTS_FILE = path.join(OUTPUT_DIR, "menu_parents.json");
 
 // Helper to walk directories recursively
 function walkSync(dir, filelist = []) {
@@ -22,7 +44,17 @@ function walkSync(dir, filelist = []) {
   return filelist;
 }
 
-function buildIndex() {
+// Texts missing from the menus: root/pli/ms/sutta/dn/... and translations share the layout
+function getCollectionFromPath(relativePath) {
+  const [pitaka, nikaya] = relativePath.split("/");
+  return SPLIT_PITAKAS.includes(pitaka) ? nikaya || null : pitaka || null;
+}
+
+/**
+ * Builds the sutta index (see scripts/sutta_index.js for the format) and
+ * saves it. Returns the `suttas` part, uid -> entry.
+ */
+function buildIndex(menuTree) {
   console.log("Building Sutta Index...");
   const index = {};
 
@@ -34,7 +66,7 @@ function buildIndex() {
       if (fullPath.endsWith("_root-pli-ms.json")) {
         const filename = path.basename(fullPath);
         const uid = filename.replace("_root-pli-ms.json", "");
-        const relativePath = path.relative(ROOT_DIR, fullPath);
+        const relativePath = toPosixPath(path.relative(ROOT_DIR, fullPath));
 
         if (!index[uid]) {
           index[uid] = {
@@ -49,43 +81,74 @@ function buildIndex() {
   }
 
   // 2. Index Translations
+  // Layout: translation/{lang}/{author}/..., keyed in the index as
+  // translations[lang][author] = path relative to the author's directory
   console.log("Scanning Translations...");
-  // We need to look into each author's directory
   if (fs.existsSync(TRANSLATION_DIR)) {
-    const authors = fs.readdirSync(TRANSLATION_DIR);
-    authors.forEach((author) => {
-      const authorDir = path.join(TRANSLATION_DIR, author);
-      if (fs.existsSync(authorDir) && fs.statSync(authorDir).isDirectory()) {
-        console.log(`  - Indexing author: ${author}`);
-        const transFiles = walkSync(authorDir);
-        transFiles.forEach((fullPath) => {
-          // filename format: {uid}_translation-en-{author}.json
+    const langs = fs
+      .readdirSync(TRANSLATION_DIR)
+      .filter((lang) =>
+        fs.statSync(path.join(TRANSLATION_DIR, lang)).isDirectory(),
+      );
+    langs.forEach((lang) => {
+      const langDir = path.join(TRANSLATION_DIR, lang);
+      fs.readdirSync(langDir).forEach((author) => {
+        const authorDir = path.join(langDir, author);
+        if (!fs.statSync(authorDir).isDirectory()) return;
+        console.log(`  - Indexing author: ${lang}/${author}`);
+        const marker = `_translation-${lang}-`;
+        walkSync(authorDir).forEach((fullPath) => {
+          // filename format: {uid}_translation-{lang}-{author}.json
           // e.g., dn1_translation-en-sujato.json
           const filename = path.basename(fullPath);
-          if (filename.includes("_translation-en-")) {
-            const uid = filename.split("_translation-en-")[0];
-
-            // If we have a root for this UID (we should), add the translation
-            // If not, we might be adding a translation for a sutta we don't have a root for?
-            // (Likely consistent, but safer to check or create entry)
-            if (!index[uid]) {
-              // This is odd if root is missing, but let's allow it?
-              // Actually, let's create a partial entry
-              index[uid] = { root: null, translations: {} };
-            }
-
-            // We store the relative path from the *author's root*
-            // e.g. sutta/dn/dn1_translation-en-sujato.json
-            const relativePath = path.relative(authorDir, fullPath);
-            index[uid].translations[author] = relativePath;
+          if (!filename.includes(marker)) return;
+          const uid = filename.split(marker)[0];
+
+          // A translation without a root is odd, but keep a partial entry
+          if (!index[uid]) {
+            index[uid] = { root: null, translations: {} };
+          }
+          if (!index[uid].translations[lang]) {
+            index[uid].translations[lang] = {};
           }
+
+          // e.g. sutta/dn/dn1_translation-en-sujato.json
+          index[uid].translations[lang][author] = toPosixPath(
+            path.relative(authorDir, fullPath),
+          );
         });
-      }
+      });
     });
   } else {
     console.warn(`Translation directory not found: ${TRANSLATION_DIR}`);
   }
 
+  // Collection and language metadata
+  const languages = {};
+  const collections = {};
+  Object.keys(index).forEach((uid) => {
+    const entry = index[uid];
+    Object.keys(entry.translations).forEach((lang) => {
+      if (!languages[lang]) languages[lang] = { authors: [], suttas: 0 };
+      languages[lang].suttas++;
+      Object.keys(entry.translations[lang]).forEach((author) => {
+        if (!languages[lang].authors.includes(author)) {
+          languages[lang].authors.push(author);
+        }
+      });
+    });
+    const [anyTranslation] = Object.values(entry.translations).flatMap(
+      (authors) => Object.values(authors),
+    );
+    const collection =
+      getCollection(menuTree.parents, uid) ||
+      getCollectionFromPath(entry.root || anyTranslation || "");
+    index[uid] = { collection, ...entry };
+    if (collection)
+      collections[collection] = (collections[collection] || 0) + 1;
+  });
+  Object.values(languages).forEach((language) => language.authors.sort());
+
   const outputCount = Object.keys(index).length;
   console.log(`Indexed ${outputCount} suttas.`);
 
@@ -98,8 +161,135 @@ function buildIndex() {
     console.log("Sample (dn1):", JSON.stringify(index["dn1"], null, 2));
   }
 
-  fs.writeFileSync(OUTPUT_FILE, JSON.stringify(index, null, 2));
-  console.log(`Index saved to ${OUTPUT_FILE}`);
+  const document = {
+    schema_version: INDEX_SCHEMA_VERSION,
+    generated_at: config.dataCommitDate || new Date().toISOString(),
+    path_bases: PATH_BASES,
+    languages,
+    collections,
+    suttas: index,
+  };
+  fs.writeFileSync(OUTPUT_FILE, JSON.stringify(document, null, 2));
+  console.log(
+    `Index saved to ${OUTPUT_FILE} (schema version ${INDEX_SCHEMA_VERSION})`,
+  );
+
+  return index;
+}
+
+// Paths in the search index are POSIX-style and relative to bilara-data-published
+function toBilaraPath(fullPath) {
+  return path.relative(BASE_DIR, fullPath).split(path.sep).join("/");
+}
+
+/**
+ * Builds an inverted index over root, translation and comment files. A
+ * document is one segment file; its segments are numbered across the whole
+ * index, from the document's `first_segment` on in file order, and each
+ * token maps to the numbers of the segments that contain it. A search then
+ * only reads the files of the segments it returns.
+ */
+function buildSearchIndex(index, menuTree) {
+  console.log("Building Search Index...");
+  const docs = [];
+  const terms = new Map();
+  let segmentCount = 0;
+
+  const addDocument = (doc, fullPath) => {
+    if (!fs.existsSync(fullPath)) return;
+    let segments;
+    try {
+      segments = JSON.parse(fs.readFileSync(fullPath, "utf8"));
+    } catch (err) {
+      console.warn(`  Skipping unreadable file ${fullPath}: ${err.message}`);
+      return;
+    }
+
+    docs.push({
+      ...doc,
+      path: toBilaraPath(fullPath),
+      first_segment: segmentCount,
+    });
+
+    Object.values(segments).forEach((text) => {
+      const segment = segmentCount++;
+      tokenize(text).forEach((token) => {
+        if (!terms.has(token)) terms.set(token, []);
+        terms.get(token).push(segment);
+      });
+    });
+  };
+
+  Object.keys(index).forEach((uid) => {
+    const entry = index[uid];
+    if (entry.root) {
+      addDocument(
+        { uid, type: "root", lang: "pli", author: "ms" },
+        path.join(ROOT_DIR, entry.root),
+      );
+    }
+    Object.keys(entry.translations).forEach((lang) => {
+      Object.keys(entry.translations[lang]).forEach((author) => {
+        const relativePath = entry.translations[lang][author];
+        addDocument(
+          { uid, type: "translation", lang, author },
+          path.join(TRANSLATION_DIR, lang, author, relativePath),
+        );
+        // Comments mirror the translation file: {uid}_comment-{lang}-{author}.json
+        addDocument(
+          { uid, type: "comment", lang, author },
+          path.join(
+            COMMENT_DIR,
+            lang,
+            author,
+            path.dirname(relativePath),
+            path.basename(relativePath).replace("translation-", "comment-"),
+          ),
+        );
+      });
+    });
+  });
+
+  // Ancestor menu uids per sutta, used for ?collection= filtering
+  const { parents } = menuTree;
+  const collections = {};
+  Object.keys(index).forEach((uid) => {
+    collections[uid] = getAncestors(parents, uid);
+  });
+
+  const searchIndex = {
+    version: SEARCH_INDEX_VERSION,
+    docs,
+    collections,
+    terms: Object.fromEntries(
+      Array.from(terms, ([token, segments]) => [
+        token,
+        encodePostings(segments),
+      ]),
+    ),
+  };
+  const searchIndexPath = path.join(DATA_ROOT, SEARCH_INDEX_FILE);
+  fs.writeFileSync(searchIndexPath, JSON.stringify(searchIndex));
+  console.log(
+    `Search index saved to ${searchIndexPath} (${docs.length} documents, ${segmentCount} segments, ${terms.size} terms)`,
+  );
+}
+
+/**
+ * Saves the menu parent map (uid -> parent uid) so the server can resolve
+ * breadcrumbs without walking every menu file.
+ */
+function buildMenuParents(menuTree) {
+  fs.writeFileSync(
+    MENU_PARENTS_FILE,
+    JSON.stringify(menuTree.parents, null, 2),
+  );
+  console.log(
+    `Menu parent map saved to ${MENU_PARENTS_FILE} (${Object.keys(menuTree.parents).length} entries)`,
+  );
 }
 
-buildIndex();
+const menuTree = buildMenuTree(path.join(DATA_ROOT, "menus"));
+const index = buildIndex(menuTree);
+buildMenuParents(menuTree);
+buildSearchIndex(index, menuTree);
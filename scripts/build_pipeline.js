@@ -2,38 +2,138 @@ const { execSync } = require("child_process");
 const fs = require("fs");
 const path = require("path");
 const { generateBundle } = require("./generate_data_bundle");
+const { generateDeltas } = require("./generate_delta_bundle");
+const { generateCollectionBundles } = require("./generate_collection_bundles");
+const { checkData, writeReport, formatSummary } = require("./check_data");
+const {
+  CURRENT_LINK,
+  RELEASES_DIR,
+  LEGACY_SEED_DIR,
+  LEGACY_SEED_MAP,
+  PUBLIC_STAGING_DIR,
+  createReleaseId,
+  createStaging,
+  removeStaging,
+  promoteStaging,
+  createPublicStaging,
+  publishPublicStaging,
+} = require("./data_releases");
+const { SERVER_DIR, config } = require("./config");
 
-const SERVER_DIR = path.resolve(__dirname, "..");
-const BILARA_DATA_DIR = path.join(SERVER_DIR, "data/bilara-data-published");
-const PUBLIC_DIR = path.join(SERVER_DIR, "public");
-const VERSION_FILE = path.join(PUBLIC_DIR, "data.json");
-const LEGACY_DIR = path.join(BILARA_DATA_DIR, "legacy");
-const LEGACY_MAP_FILE = path.join(BILARA_DATA_DIR, "legacy_sutta_map.json");
-const MENUS_DIR = path.join(SERVER_DIR, "data/menus");
-const LEGACY_SEED_DIR = path.join(SERVER_DIR, "data/legacy-seed");
-const LEGACY_SEED_MAP = path.join(LEGACY_SEED_DIR, "legacy_sutta_map.json");
-
-function copyLegacySeed() {
-  if (!fs.existsSync(LEGACY_SEED_DIR)) return false;
-  if (!fs.existsSync(BILARA_DATA_DIR)) {
-    fs.mkdirSync(BILARA_DATA_DIR, { recursive: true });
+const DATA_DIR = config.dataDir;
+const BILARA_DATA_DIR = path.join(DATA_DIR, "bilara-data-published");
+// Published with the bundles once the release is promoted
+const VERSION_FILE = path.join(PUBLIC_STAGING_DIR, "data.json");
+const MENUS_DIR = path.join(DATA_DIR, "menus");
+// Steps completed for the current commit, so a failed build can be resumed
+const CHECKPOINT_FILE = path.join(RELEASES_DIR, "pipeline_checkpoint.json");
+// Entries of data/ that are not copied into a staged release
+const STAGING_EXCLUDES = [".git", "current", "releases", "legacy-seed"];
+
+const legacyDir = (dataRoot) =>
+  path.join(dataRoot, "bilara-data-published/legacy");
+const legacyMapFile = (dataRoot) =>
+  path.join(dataRoot, "bilara-data-published/legacy_sutta_map.json");
+
+function hasLegacy(dataRoot) {
+  return (
+    fs.existsSync(legacyDir(dataRoot)) || fs.existsSync(legacyMapFile(dataRoot))
+  );
+}
+
+function copyLegacy(fromRoot, toRoot) {
+  fs.mkdirSync(path.join(toRoot, "bilara-data-published"), { recursive: true });
+  if (fs.existsSync(legacyDir(fromRoot))) {
+    fs.cpSync(legacyDir(fromRoot), legacyDir(toRoot), { recursive: true });
+  }
+  if (fs.existsSync(legacyMapFile(fromRoot))) {
+    fs.copyFileSync(legacyMapFile(fromRoot), legacyMapFile(toRoot));
   }
+}
+
+function copyLegacySeed(dataRoot) {
+  if (!fs.existsSync(LEGACY_SEED_DIR)) return false;
   console.log("Restoring legacy from seed directory...");
-  fs.cpSync(LEGACY_SEED_DIR, LEGACY_DIR, { recursive: true });
+  fs.mkdirSync(path.join(dataRoot, "bilara-data-published"), {
+    recursive: true,
+  });
+  fs.cpSync(LEGACY_SEED_DIR, legacyDir(dataRoot), { recursive: true });
   if (fs.existsSync(LEGACY_SEED_MAP)) {
-    fs.copyFileSync(LEGACY_SEED_MAP, LEGACY_MAP_FILE);
+    fs.copyFileSync(LEGACY_SEED_MAP, legacyMapFile(dataRoot));
   }
   return true;
 }
 
+/**
+ * Copies the source data (bilara clone without .git, menus, suttaplex,
+ * generated) into the staging directory the rest of the build works on.
+ */
+function stageData(stagingDir) {
+  fs.readdirSync(DATA_DIR)
+    .filter((entry) => !STAGING_EXCLUDES.includes(entry))
+    .filter((entry) => !entry.startsWith("current."))
+    .forEach((entry) => {
+      fs.cpSync(path.join(DATA_DIR, entry), path.join(stagingDir, entry), {
+        recursive: true,
+        filter: (src) => path.basename(src) !== ".git",
+      });
+    });
+}
+
+const pipelineStartedAt = Date.now();
+
+/**
+ * Sends a structured progress event to the server over the fork IPC channel
+ * (a no-op when the pipeline runs from the command line). Event types:
+ * "step" (step, total_steps, name, id), "items" (done, total), "warning"
+ * (message), "info" (facts about the build, e.g. { commit }), "complete"
+ * and "failed" (error). All carry elapsed_ms.
+ */
+function reportProgress(event) {
+  if (!process.send) return;
+  process.send({
+    type: "progress",
+    ...event,
+    elapsed_ms: Date.now() - pipelineStartedAt,
+  });
+}
+
+// `step` and `total` count the steps selected for this run
+function startStep(step, total, { name, title }) {
+  console.log(`\n--- Step ${step}/${total}: ${title} [${name}] ---`);
+  lastItemsReport = null;
+  reportProgress({
+    event: "step",
+    step,
+    total_steps: total,
+    name: title,
+    id: name,
+  });
+}
+
+// Reports done/total for the running step; callers may call it very often
+let lastItemsReport = null;
+function reportItems(done, total) {
+  const key = `${done}/${total}`;
+  if (key === lastItemsReport) return;
+  lastItemsReport = key;
+  reportProgress({ event: "items", done, total });
+}
+
+function warn(message) {
+  console.warn(message);
+  reportProgress({ event: "warning", message });
+}
+
 /**
  * Execute a command synchronously and stream output to console.
  */
-function runCommand(command, cwd = SERVER_DIR) {
+function runCommand(command, cwd = SERVER_DIR, env = process.env) {
   console.log(`\n> [EXEC] ${command} (cwd: ${cwd})`);
   try {
     const output = execSync(command, {
       cwd,
+      env,
       encoding: "utf8",
       stdio: ["ignore", "pipe", "pipe"],
     });
@@ -47,121 +147,488 @@ function runCommand(command, cwd = SERVER_DIR) {
   }
 }
 
-async function buildPipeline() {
-  console.log("🚀 Starting Offline Data Build Pipeline...\n");
-
-  if (!fs.existsSync(PUBLIC_DIR)) {
-    fs.mkdirSync(PUBLIC_DIR, { recursive: true });
+// HEAD of the bilara clone, or "unknown" (with the current time) without one
+function readCommitInfo() {
+  const git = (args) =>
+    execSync(`git ${args}`, {
+      cwd: BILARA_DATA_DIR,
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+    }).trim();
+  try {
+    return {
+      commit: git("rev-parse HEAD"),
+      // ISO 8601 date string of the commit
+      date: git("show -s --format=%cI HEAD"),
+    };
+  } catch (err) {
+    return { commit: "unknown", date: new Date().toISOString() };
   }
+}
 
-  // --- Step 1: Git Pull / Clone ---
-  console.log("--- Step 1: Syncing Git Data ---");
-  const BILARA_REPO_URL = "https://github.com/suttacentral/bilara-data.git";
-  let isFreshClone = false;
-
-  if (!fs.existsSync(path.join(BILARA_DATA_DIR, ".git"))) {
-    console.log(`📂 Data directory or .git missing. Performing fresh clone...`);
-    const parentDir = path.dirname(BILARA_DATA_DIR);
-    if (!fs.existsSync(parentDir)) {
-      fs.mkdirSync(parentDir, { recursive: true });
-    }
-    // Perform shallow clone of only the 'published' branch
-    runCommand(
-      `git clone --branch published --depth 1 ${BILARA_REPO_URL} bilara-data-published`,
-      parentDir,
+function requireStaging(ctx) {
+  if (!ctx.stagingDir || !fs.existsSync(ctx.stagingDir)) {
+    throw new Error(
+      'No staged release to work on; run the "stage" step first (e.g. --from stage).',
     );
-    isFreshClone = true;
-  } else {
-    try {
-      const pullOutput = runCommand(
-        "git pull origin published",
-        BILARA_DATA_DIR,
+  }
+  return {
+    ...process.env,
+    DATA_ROOT: ctx.stagingDir,
+    DATA_COMMIT_DATE: ctx.date,
+  };
+}
+
+/**
+ * The pipeline, in order. Each step reads and extends the shared context
+ * (commit, date, releaseId, stagingDir, versionInfo), which is saved in the
+ * checkpoint after every step so later runs can pick it up.
+ */
+const STEPS = [
+  {
+    name: "sync",
+    title: "Syncing Git Data",
+    run: () => {
+      if (!fs.existsSync(path.join(BILARA_DATA_DIR, ".git"))) {
+        console.log(
+          `📂 Data directory or .git missing. Performing fresh clone...`,
+        );
+        const parentDir = path.dirname(BILARA_DATA_DIR);
+        if (!fs.existsSync(parentDir)) {
+          fs.mkdirSync(parentDir, { recursive: true });
+        }
+        // Perform shallow clone of only the published branch
+        runCommand(
+          `git clone --branch ${config.bilaraBranch} --depth 1 ${config.bilaraRepoUrl} bilara-data-published`,
+          parentDir,
+        );
+        return;
+      }
+      try {
+        const pullOutput = runCommand(
+          `git pull origin ${config.bilaraBranch}`,
+          BILARA_DATA_DIR,
+        );
+        if (pullOutput.includes("Already up to date.")) {
+          console.log(
+            "ℹ️ Data repo up to date. Continuing full build to refresh bundle.",
+          );
+        }
+      } catch (err) {
+        warn(
+          `⚠️ Git pull failed. Continuing build with current local state...`,
+        );
+      }
+    },
+  },
+  {
+    name: "commit",
+    title: "Retrieving Commit Status",
+    run: (ctx) => {
+      const { commit, date } = readCommitInfo();
+      if (commit === "unknown") {
+        warn("⚠️ Failed to retrieve git commit info. Using fallback dates.");
+      }
+      Object.assign(ctx, { commit, date });
+      console.log(`Latest commit: ${commit} from ${date}`);
+      reportProgress({ event: "info", info: { commit } });
+    },
+  },
+  {
+    name: "menus",
+    title: "Fetching and Flattening Menus",
+    run: () => {
+      const menusExists =
+        fs.existsSync(MENUS_DIR) && fs.readdirSync(MENUS_DIR).length > 0;
+      if (menusExists) {
+        console.log("Menus already present; skipping master_fetch.js");
+      } else {
+        runCommand(`node scripts/master_fetch.js`);
+      }
+    },
+  },
+  {
+    // Menus are committed, so the menus step rarely crawls; this refreshes
+    // stale or missing payloads, resuming from the crawl manifest
+    name: "suttaplex",
+    title: "Crawling Suttaplex",
+    run: () => {
+      runCommand(`node scripts/master_fetch.js --suttaplex-only`);
+    },
+  },
+  {
+    // Everything below works on a copy; the live data/current tree and the
+    // public bundles are only swapped once the whole build has succeeded.
+    name: "stage",
+    title: "Staging a New Data Release",
+    run: (ctx) => {
+      ctx.releaseId = createReleaseId(ctx.commit);
+      ctx.stagingDir = createStaging(ctx.releaseId);
+      createPublicStaging();
+      console.log(`📂 Staging release ${ctx.releaseId} in ${ctx.stagingDir}`);
+      reportProgress({ event: "info", info: { release: ctx.releaseId } });
+      stageData(ctx.stagingDir);
+    },
+  },
+  {
+    name: "cleanup",
+    title: "Cleaning Bilara Data (Keeping Legacy Safe)",
+    run: (ctx) => {
+      // cleanup_bilara.js already ignores the `legacy` directory implicitly because it's not in its target lists.
+      // It only touches the staged copy, so the git clone stays pullable.
+      runCommand(
+        `node scripts/cleanup_bilara.js`,
+        SERVER_DIR,
+        requireStaging(ctx),
       );
-      if (pullOutput.includes("Already up to date.")) {
-        console.log("ℹ️ Data repo up to date. Continuing full build to refresh bundle.");
+    },
+  },
+  {
+    name: "index",
+    title: "Building Sutta Index",
+    run: (ctx) => {
+      runCommand(
+        `node scripts/build_index.js`,
+        SERVER_DIR,
+        requireStaging(ctx),
+      );
+    },
+  },
+  {
+    // Fetch missing Legacy Suttas (skip if legacy already provided)
+    name: "legacy",
+    title: "Legacy Content",
+    run: (ctx) => {
+      const stagingEnv = requireStaging(ctx);
+      if (hasLegacy(ctx.stagingDir)) {
+        console.log("Skipping legacy fetch (legacy content already present)");
+      } else if (fs.existsSync(CURRENT_LINK) && hasLegacy(CURRENT_LINK)) {
+        console.log("Reusing legacy content of the current release");
+        copyLegacy(CURRENT_LINK, ctx.stagingDir);
+      } else if (copyLegacySeed(ctx.stagingDir)) {
+        console.log("Legacy restored from seed. Skipping fetch.");
+      } else {
+        console.log("Fetching legacy content for missing suttas");
+        runCommand(`node scripts/fetch_legacy.js`, SERVER_DIR, stagingEnv);
       }
-    } catch (err) {
-      console.warn(
-        `⚠️ Git pull failed. Continuing build with current local state...`,
+    },
+  },
+  {
+    // Fails the build, before anything is published, when a finding exceeds
+    // its DATA_CHECK_MAX_* threshold
+    name: "check",
+    title: "Checking Data Integrity",
+    run: (ctx) => {
+      requireStaging(ctx);
+      const report = checkData(ctx.stagingDir);
+      const reportPath = writeReport(ctx.stagingDir, report);
+      console.log(formatSummary(report));
+      console.log(`Report saved to ${reportPath}`);
+      reportProgress({ event: "info", info: { data_check: report.counts } });
+      if (!report.ok) {
+        throw new Error(`Data check failed: ${report.failures.join("; ")}`);
+      }
+    },
+  },
+  {
+    name: "bundle",
+    title: "Generating Zip Bundle",
+    run: async (ctx) => {
+      requireStaging(ctx);
+      // Compression progress in percent
+      const finalZipPath = await generateBundle(
+        ctx.stagingDir,
+        (percent) => reportItems(Math.floor(percent), 100),
+        PUBLIC_STAGING_DIR,
       );
-    }
+      console.log(`✅ Zip successfully generated at: ${finalZipPath}`);
+      reportProgress({
+        event: "info",
+        info: { bundle_size: fs.statSync(finalZipPath).size },
+      });
+
+      // Per-collection archives for clients that only want part of the corpus
+      await generateCollectionBundles(
+        ctx.commit,
+        ctx.stagingDir,
+        reportItems,
+        PUBLIC_STAGING_DIR,
+      );
+
+      // Deltas let clients on an older commit download only what changed
+      ctx.deltas = undefined;
+      if (ctx.commit !== "unknown") {
+        try {
+          ctx.deltas = await generateDeltas(
+            ctx.commit,
+            ctx.stagingDir,
+            PUBLIC_STAGING_DIR,
+          );
+          console.log(
+            `✅ Delta bundles available from ${ctx.deltas.length} previous version(s)`,
+          );
+        } catch (err) {
+          warn(
+            `⚠️ Delta bundle generation failed; clients will do a full download: ${err.message}`,
+          );
+          ctx.deltas = [];
+        }
+      }
+    },
+  },
+  {
+    name: "version",
+    title: "Writing Version History",
+    run: (ctx) => {
+      const versionInfo = {
+        commit: ctx.commit,
+        date: ctx.date,
+        updated_at: new Date().toISOString(),
+        release: ctx.releaseId,
+        deltas: ctx.deltas,
+      };
+      fs.mkdirSync(PUBLIC_STAGING_DIR, { recursive: true });
+      fs.writeFileSync(VERSION_FILE, JSON.stringify(versionInfo, null, 2));
+      console.log(`✅ Version tracking saved to ${VERSION_FILE}`);
+    },
+  },
+  {
+    name: "promote",
+    title: "Switching data/current to the New Release",
+    run: (ctx) => {
+      requireStaging(ctx);
+      promoteStaging(ctx.stagingDir, { commit: ctx.commit, date: ctx.date });
+      console.log(`✅ data/current now points to release ${ctx.releaseId}`);
+      ctx.stagingDir = null;
+      // The bundles of the release, with data.json last
+      const published = publishPublicStaging();
+      if (published.length) {
+        console.log(`✅ Published ${published.join(", ")}`);
+      }
+    },
+  },
+];
+const STEP_NAMES = STEPS.map((step) => step.name);
+
+/**
+ * Parses --only a,b / --from a / --skip a,b / --resume (also accepted as
+ * --only=a,b). Throws on unknown options or step names.
+ */
+function parsePipelineArgs(argv) {
+  const options = { only: null, from: null, skip: [], resume: false };
+  const list = (value) =>
+    String(value || "")
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean);
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split("=");
+    const value = () => (inlineValue !== undefined ? inlineValue : argv[++i]);
+    if (flag === "--only") options.only = list(value());
+    else if (flag === "--from") options.from = value();
+    else if (flag === "--skip") options.skip = list(value());
+    else if (flag === "--resume") options.resume = true;
+    else throw new Error(`Unknown option: ${argv[i]}`);
   }
 
-  // --- Step 2: Get Commit Info ---
-  console.log("\n--- Step 2: Retrieving Commit Status ---");
-  let commitHash = "unknown";
-  let commitDateRaw = new Date().toISOString();
+  const named = [...(options.only || []), ...options.skip];
+  if (options.from) named.push(options.from);
+  const unknown = named.filter((name) => !STEP_NAMES.includes(name));
+  if (unknown.length) {
+    throw new Error(
+      `Unknown step(s): ${unknown.join(", ")}. Steps: ${STEP_NAMES.join(", ")}`,
+    );
+  }
+  if (options.only && options.from) {
+    throw new Error("--only and --from cannot be combined.");
+  }
+  return options;
+}
 
+function readCheckpoint() {
   try {
-    commitHash = runCommand("git rev-parse HEAD", BILARA_DATA_DIR);
-    // Get ISO 8601 date string of commit
-    commitDateRaw = runCommand(
-      "git show -s --format=%cI HEAD",
-      BILARA_DATA_DIR,
-    );
+    return JSON.parse(fs.readFileSync(CHECKPOINT_FILE, "utf8"));
   } catch (err) {
-    console.warn(
-      "⚠️ Failed to retrieve git commit info. Using fallback dates.",
-    );
+    return null;
   }
+}
 
-  const versionInfo = {
-    commit: commitHash,
-    date: commitDateRaw,
-    updated_at: new Date().toISOString(),
-  };
-  console.log(`Latest commit: ${commitHash} from ${commitDateRaw}`);
+function writeCheckpoint(checkpoint) {
+  fs.mkdirSync(RELEASES_DIR, { recursive: true });
+  const tmpFile = `${CHECKPOINT_FILE}.tmp`;
+  fs.writeFileSync(
+    tmpFile,
+    JSON.stringify(
+      { ...checkpoint, updated_at: new Date().toISOString() },
+      null,
+      2,
+    ),
+  );
+  fs.renameSync(tmpFile, CHECKPOINT_FILE);
+}
+
+/**
+ * Loads the checkpoint if it belongs to `commit`. Steps from "stage" onwards
+ * only count as done while their staged release still exists.
+ */
+function loadCheckpoint(commit) {
+  const checkpoint = readCheckpoint();
+  if (!checkpoint || checkpoint.commit !== commit) {
+    return { commit, context: {}, completed: [], failed: null };
+  }
+  const { stagingDir } = checkpoint.context;
+  if (!stagingDir || !fs.existsSync(stagingDir)) {
+    const stageIndex = STEP_NAMES.indexOf("stage");
+    checkpoint.completed = checkpoint.completed.filter(
+      (name) => STEP_NAMES.indexOf(name) < stageIndex,
+    );
+    checkpoint.context.stagingDir = null;
+  }
+  return checkpoint;
+}
 
-  // --- Step 3: Fetch & Flatten Menus ---
-  console.log("\n--- Step 3: Fetching and Flattening Menus ---");
-  const menusExists = fs.existsSync(MENUS_DIR) && fs.readdirSync(MENUS_DIR).length > 0;
-  if (menusExists) {
-    console.log("Menus already present; skipping master_fetch.js");
-  } else {
-    runCommand(`node scripts/master_fetch.js`);
+/**
+ * Picks the steps to run, in pipeline order. --resume starts at the step
+ * that failed last, or else after the last completed one.
+ */
+function selectSteps(options, checkpoint) {
+  let names = STEP_NAMES;
+  if (options.only) {
+    names = STEP_NAMES.filter((name) => options.only.includes(name));
+  } else if (options.from) {
+    names = STEP_NAMES.slice(STEP_NAMES.indexOf(options.from));
+  } else if (options.resume) {
+    const start = checkpoint.failed
+      ? STEP_NAMES.indexOf(checkpoint.failed)
+      : Math.max(
+          -1,
+          ...checkpoint.completed.map((name) => STEP_NAMES.indexOf(name)),
+        ) + 1;
+    names = STEP_NAMES.slice(start);
   }
+  return STEPS.filter(
+    (step) => names.includes(step.name) && !options.skip.includes(step.name),
+  );
+}
 
-  // --- Step 4: Clean Bilara Target ---
-  console.log("\n--- Step 4: Cleaning Bilara Data (Keeping Legacy Safe) ---");
-  // cleanup_bilara.js already ignores the `legacy` directory implicitly because it's not in its target lists.
-  // Let's ensure it runs safely.
-  runCommand(`node scripts/cleanup_bilara.js`);
+async function buildPipeline(options) {
+  console.log("🚀 Starting Offline Data Build Pipeline...\n");
 
-  // --- Step 5: Build Sutta Index ---
-  console.log("\n--- Step 5: Building Sutta Index ---");
-  runCommand(`node scripts/build_index.js`);
+  // The checkpoint only applies while the clone is still at the same commit
+  let checkpoint = loadCheckpoint(readCommitInfo().commit);
+  const ctx = { ...checkpoint.context };
+  if (!ctx.commit) Object.assign(ctx, readCommitInfo());
+  const steps = selectSteps(options, checkpoint);
 
-  // --- Step 6: Fetch missing Legacy Suttas (skip if legacy already provided) ---
-  if (fs.existsSync(LEGACY_DIR) || fs.existsSync(LEGACY_MAP_FILE)) {
+  if (options.resume) {
     console.log(
-      "\n--- Step 6: Skipping legacy fetch (legacy content already present) ---",
+      checkpoint.completed.length
+        ? `⏩ Resuming ${checkpoint.commit}: already done ${checkpoint.completed.join(", ")}`
+        : "⏩ Nothing to resume for this commit; running the selected steps.",
     );
-  } else if (copyLegacySeed()) {
-    console.log("Legacy restored from seed. Skipping fetch.");
-  } else {
-    console.log("\n--- Step 6: Fetching legacy content for missing suttas ---");
-    runCommand(`node scripts/fetch_legacy.js`);
   }
+  if (!steps.length) {
+    console.log("Nothing to do: no steps selected.");
+    return;
+  }
+  console.log(`Steps: ${steps.map((step) => step.name).join(" → ")}`);
 
-  // --- Step 7: Generate Zip Bundle ---
-  console.log("\n--- Step 7: Generating Zip Bundle ---");
-  try {
-    const finalZipPath = await generateBundle();
-    console.log(`✅ Zip successfully generated at: ${finalZipPath}`);
+  const discardStaging = () => {
+    if (ctx.stagingDir && fs.existsSync(ctx.stagingDir)) {
+      console.log("Discarding staged release...");
+      removeStaging(ctx.stagingDir);
+    }
+    removeStaging(PUBLIC_STAGING_DIR);
+  };
+  // Sent by the server to cancel a build (to the whole process group)
+  process.on("SIGTERM", () => {
+    console.log("🛑 Build cancelled.");
+    discardStaging();
+    process.exit(143);
+  });
+  // Forked by the server: stop when it goes away (even when it crashed), so
+  // no orphaned build writes to a staging dir that a new build reuses.
+  // Unreferenced, the channel does not keep a finished pipeline running.
+  if (process.channel) {
+    process.on("disconnect", () => {
+      console.error("🛑 The server stopped; ending the pipeline.");
+      discardStaging();
+      process.exit(1);
+    });
+    process.channel.unref();
+  }
 
-    // --- Step 8: Write Version Tracker ---
-    console.log("\n--- Step 8: Writing Version History ---");
-    fs.writeFileSync(VERSION_FILE, JSON.stringify(versionInfo, null, 2));
-    console.log(`✅ Version tracking saved to ${VERSION_FILE}`);
-  } catch (err) {
-    console.error("❌ Zip generation failed:", err);
-    process.exit(1);
+  // Recorded up front, so a run that fails or is killed never leaves the
+  // checkpoint of an earlier commit
+  writeCheckpoint({ ...checkpoint, context: ctx });
+
+  for (const [i, step] of steps.entries()) {
+    startStep(i + 1, steps.length, step);
+    let error = null;
+    try {
+      await step.run(ctx);
+    } catch (err) {
+      error = err;
+    }
+
+    // A new commit starts a new checkpoint
+    if (ctx.commit !== checkpoint.commit) {
+      checkpoint = { commit: ctx.commit, completed: [], failed: null };
+    }
+    if (error) {
+      writeCheckpoint({
+        ...checkpoint,
+        context: ctx,
+        failed: step.name,
+        error: error.message,
+      });
+      console.error(
+        `❌ Step "${step.name}" failed. Fix the cause and continue with: node scripts/build_pipeline.js --resume`,
+      );
+      throw error;
+    }
+    // Redoing a step invalidates the ones after it
+    const stepIndex = STEP_NAMES.indexOf(step.name);
+    const completed = checkpoint.completed.filter(
+      (name) => STEP_NAMES.indexOf(name) < stepIndex,
+    );
+    checkpoint = {
+      ...checkpoint,
+      context: ctx,
+      completed: [...completed, step.name],
+      failed: null,
+      error: undefined,
+    };
+    writeCheckpoint(checkpoint);
+  }
+
+  // A promoted release leaves nothing to resume
+  if (steps.some((step) => step.name === "promote")) {
+    fs.rmSync(CHECKPOINT_FILE, { force: true });
   }
 
   console.log("\n🎉 Pipeline Completed Successfully!");
+  reportProgress({ event: "complete" });
+}
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parsePipelineArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(2);
+  }
+  buildPipeline(options).catch((err) => {
+    console.error("🚨 Pipeline encountered a fatal error:\n", err);
+    reportProgress({ event: "failed", error: err.message });
+    // Not process.exit(): the failure event must reach the server first
+    process.exitCode = 1;
+  });
 }
 
-buildPipeline().catch((err) => {
-  console.error("🚨 Pipeline encountered a fatal error:\n", err);
-  process.exit(1);
-});
+module.exports = {
+  STEP_NAMES,
+  parsePipelineArgs,
+};
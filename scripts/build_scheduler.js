@@ -0,0 +1,75 @@
+const { execFile } = require("child_process");
+const { config } = require("./config");
+const { parseCron, getNextRun } = require("./cron");
+
+/**
+ * Cron scheduling for in-process builds (expressions as in cron.js, in UTC
+ * like the GitHub workflow schedule), plus the upstream check the server
+ * runs before each scheduled build.
+ */
+
+const BILARA_REPO_URL = config.bilaraRepoUrl;
+const BILARA_BRANCH = config.bilaraBranch;
+const LS_REMOTE_TIMEOUT_MS = 60 * 1000;
+// setTimeout cannot wait longer than ~24.8 days
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+/**
+ * Runs `task` at every time matching `expression`. Returns `{ nextRun, stop }`
+ * where `nextRun()` is the next planned run (a Date) or null.
+ */
+function scheduleCron(expression, task) {
+  const schedule = parseCron(expression);
+  let timer = null;
+  let next = null;
+
+  const arm = () => {
+    next = getNextRun(schedule);
+    if (!next) return;
+    const wait = Math.min(next.getTime() - Date.now(), MAX_TIMEOUT_MS);
+    timer = setTimeout(() => {
+      if (Date.now() < next.getTime()) return arm();
+      Promise.resolve()
+        .then(task)
+        .catch((err) => console.error("❌ Scheduled task failed:", err))
+        .finally(arm);
+    }, wait);
+    // The schedule alone should not keep the process alive
+    timer.unref();
+  };
+  arm();
+
+  return {
+    nextRun: () => next,
+    stop: () => {
+      clearTimeout(timer);
+      next = null;
+    },
+  };
+}
+
+/**
+ * Resolves with the commit at the head of the published bilara branch.
+ */
+function fetchUpstreamHead() {
+  return new Promise((resolve, reject) => {
+    execFile(
+      "git",
+      ["ls-remote", "--heads", BILARA_REPO_URL, BILARA_BRANCH],
+      { timeout: LS_REMOTE_TIMEOUT_MS },
+      (err, stdout) => {
+        if (err) return reject(err);
+        const head = stdout.trim().split(/\s+/)[0];
+        if (!head) {
+          return reject(new Error(`Branch ${BILARA_BRANCH} not found`));
+        }
+        resolve(head);
+      },
+    );
+  });
+}
+
+module.exports = {
+  scheduleCron,
+  fetchUpstreamHead,
+};
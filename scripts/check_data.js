@@ -0,0 +1,260 @@
+const fs = require("fs");
+const path = require("path");
+const { buildMenuTree } = require("./menu_tree");
+const {
+  LEGACY_SEED_DIR,
+  LEGACY_SEED_MAP,
+  getDataRoot,
+} = require("./data_releases");
+const { readSuttaIndex } = require("./sutta_index");
+const { config } = require("./config");
+
+// Written next to the index; left out of the bundles (see listBundleFiles)
+const REPORT_FILE = "generated/data_report.json";
+
+/**
+ * Finding types and the config.js setting of their threshold. A threshold is
+ * the largest count a build accepts, set with e.g.
+ * DATA_CHECK_MAX_BROKEN_PATHS=0; unset means any count passes.
+ */
+const FINDINGS = {
+  // Menu leaves in neither the index nor the legacy map
+  unreachable_leaves: "dataCheckMaxUnreachableLeaves",
+  // Index or legacy map entries whose file does not exist
+  broken_paths: "dataCheckMaxBrokenPaths",
+  // html/comment/variant/reference files without their root or translation
+  orphan_files: "dataCheckMaxOrphanFiles",
+  // Indexed roots without an html file
+  missing_html: "dataCheckMaxMissingHtml",
+  // Indexed suttas that no menu lists
+  unlisted_suttas: "dataCheckMaxUnlistedSuttas",
+};
+
+// Context files and the file each of them belongs to, by Bilara directory
+const COMPANIONS = [
+  {
+    dir: "html/pli/ms",
+    owner: "root/pli/ms",
+    toOwner: (name) => name.replace(/_html\.json$/, "_root-pli-ms.json"),
+  },
+  {
+    dir: "variant/pli/ms",
+    owner: "root/pli/ms",
+    toOwner: (name) => name.replace("_variant-", "_root-"),
+  },
+  {
+    dir: "reference/pli/ms",
+    owner: "root/pli/ms",
+    toOwner: (name) => name.replace(/_reference\.json$/, "_root-pli-ms.json"),
+  },
+  {
+    // comment/{lang}/{author}/... pairs with translation/{lang}/{author}/...
+    dir: "comment",
+    owner: "translation",
+    toOwner: (name) => name.replace("_comment-", "_translation-"),
+  },
+];
+
+function walkSync(dir, filelist = []) {
+  if (!fs.existsSync(dir)) return filelist;
+  fs.readdirSync(dir).forEach((file) => {
+    const filePath = path.join(dir, file);
+    if (fs.statSync(filePath).isDirectory()) {
+      walkSync(filePath, filelist);
+    } else {
+      filelist.push(filePath);
+    }
+  });
+  return filelist;
+}
+
+const readJson = (filePath, fallback) => {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    return fallback;
+  }
+};
+
+// The thresholds (see FINDINGS) that are set in `settings`
+function readThresholds(settings = config) {
+  const thresholds = {};
+  Object.entries(FINDINGS).forEach(([finding, key]) => {
+    if (Number.isInteger(settings[key])) thresholds[finding] = settings[key];
+  });
+  return thresholds;
+}
+
+/**
+ * Cross-checks the menus, sutta index, legacy map and Bilara files of a data
+ * tree. Returns a report with every finding (see FINDINGS), their counts and
+ * the thresholds they exceed in `failures`; `ok` is false when there are any.
+ */
+function checkData(dataRoot = getDataRoot(), thresholds = readThresholds()) {
+  const bilaraBase = path.join(dataRoot, "bilara-data-published");
+  const index = readSuttaIndex(
+    path.join(dataRoot, "generated/sutta_index.json"),
+  );
+  const suttaIndex = index ? index.suttas : {};
+  const legacyMap = readJson(
+    path.join(bilaraBase, "legacy_sutta_map.json"),
+    readJson(LEGACY_SEED_MAP, {}),
+  );
+  const { leaves } = buildMenuTree(path.join(dataRoot, "menus"));
+  const bilaraPath = (fullPath) =>
+    path.relative(bilaraBase, fullPath).split(path.sep).join("/");
+
+  const findings = Object.fromEntries(
+    Object.keys(FINDINGS).map((finding) => [finding, []]),
+  );
+
+  const listed = new Set(leaves);
+  findings.unreachable_leaves = leaves.filter(
+    (uid) => !suttaIndex[uid] && !legacyMap[uid],
+  );
+  findings.unlisted_suttas = Object.keys(suttaIndex).filter(
+    (uid) => !listed.has(uid),
+  );
+
+  Object.entries(suttaIndex).forEach(([uid, entry]) => {
+    if (entry.root) {
+      const rootPath = path.join(bilaraBase, "root/pli/ms", entry.root);
+      if (!fs.existsSync(rootPath)) {
+        findings.broken_paths.push({ uid, type: "root", path: entry.root });
+      }
+      const htmlPath = path.join(
+        bilaraBase,
+        "html/pli/ms",
+        path.dirname(entry.root),
+        path.basename(entry.root).replace("_root-pli-ms.json", "_html.json"),
+      );
+      if (!fs.existsSync(htmlPath)) findings.missing_html.push(uid);
+    }
+    Object.entries(entry.translations || {}).forEach(([lang, authors]) => {
+      Object.entries(authors).forEach(([author, relativePath]) => {
+        const fullPath = path.join(
+          bilaraBase,
+          "translation",
+          lang,
+          author,
+          relativePath,
+        );
+        if (!fs.existsSync(fullPath)) {
+          findings.broken_paths.push({
+            uid,
+            type: "translation",
+            path: bilaraPath(fullPath),
+          });
+        }
+      });
+    });
+  });
+
+  // The server falls back to the seed directory, which mirrors `legacy/`
+  Object.entries(legacyMap).forEach(([uid, entry]) => {
+    const relativePath = (entry && entry.path) || "";
+    const exists =
+      relativePath &&
+      (fs.existsSync(path.join(bilaraBase, relativePath)) ||
+        fs.existsSync(
+          path.join(LEGACY_SEED_DIR, relativePath.replace(/^legacy\//, "")),
+        ));
+    if (!exists) {
+      findings.broken_paths.push({ uid, type: "legacy", path: relativePath });
+    }
+  });
+
+  COMPANIONS.forEach(({ dir, owner, toOwner }) => {
+    const companionDir = path.join(bilaraBase, dir);
+    walkSync(companionDir).forEach((fullPath) => {
+      const ownerPath = path.join(
+        bilaraBase,
+        owner,
+        path.dirname(path.relative(companionDir, fullPath)),
+        toOwner(path.basename(fullPath)),
+      );
+      if (!fs.existsSync(ownerPath)) {
+        findings.orphan_files.push(bilaraPath(fullPath));
+      }
+    });
+  });
+
+  const counts = Object.fromEntries(
+    Object.entries(findings).map(([finding, list]) => [finding, list.length]),
+  );
+  const failures = Object.entries(thresholds)
+    .filter(([finding, max]) => counts[finding] > max)
+    .map(([finding, max]) => `${counts[finding]} ${finding} (at most ${max})`);
+
+  return {
+    generated_at: new Date().toISOString(),
+    ok: failures.length === 0,
+    totals: {
+      menu_leaves: leaves.length,
+      indexed: Object.keys(suttaIndex).length,
+      legacy: Object.keys(legacyMap).length,
+    },
+    counts,
+    thresholds,
+    failures,
+    ...findings,
+  };
+}
+
+function writeReport(dataRoot, report) {
+  const reportPath = path.join(dataRoot, REPORT_FILE);
+  fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+  return reportPath;
+}
+
+// One line per finding type, e.g. "  broken_paths: 2 (max 0)"
+function formatSummary(report) {
+  const { totals, counts, thresholds } = report;
+  return [
+    `Menu leaves: ${totals.menu_leaves}, indexed: ${totals.indexed}, legacy: ${totals.legacy}`,
+    ...Object.entries(counts).map(
+      ([finding, count]) =>
+        `  ${finding}: ${count}${finding in thresholds ? ` (max ${thresholds[finding]})` : ""}`,
+    ),
+  ].join("\n");
+}
+
+// Forked by the server with --send: the report goes back over IPC unsaved
+function sendReport() {
+  let message;
+  try {
+    message = { type: "report", report: checkData() };
+  } catch (err) {
+    message = { type: "error", error: err.message };
+  }
+  process.send(message, () => process.disconnect());
+}
+
+if (require.main === module && process.argv.includes("--send")) {
+  sendReport();
+} else if (require.main === module) {
+  let report;
+  try {
+    report = checkData();
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(2);
+  }
+  const reportPath = writeReport(getDataRoot(), report);
+  console.log(formatSummary(report));
+  console.log(`Report saved to ${reportPath}`);
+  if (!report.ok) {
+    console.error(`❌ Data check failed: ${report.failures.join("; ")}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  REPORT_FILE,
+  FINDINGS,
+  readThresholds,
+  checkData,
+  writeReport,
+  formatSummary,
+};
@@ -1,15 +1,21 @@
 const fs = require("fs");
 const path = require("path");
+const { getDataRoot } = require("./data_releases");
+const { config } = require("./config");
 
-const BILARA_BASE = path.join(__dirname, "../bilara-data-published");
+const BILARA_BASE = path.join(getDataRoot(), "bilara-data-published");
+
+// Languages to keep, e.g. TRANSLATION_LANGS=en,de,vi (see config.js)
+const ROOT_LANGS = config.rootLangs;
+const TRANSLATION_LANGS = config.translationLangs;
 
 const DIRS_TO_PROCESS = [
-  { name: "root", keep: ["pli"] },
-  { name: "translation", keep: ["en"] },
-  { name: "html", keep: ["pli"] },
-  { name: "comment", keep: ["en"] },
-  { name: "variant", keep: ["pli"] },
-  { name: "reference", keep: ["pli"] },
+  { name: "root", keep: ROOT_LANGS },
+  { name: "translation", keep: TRANSLATION_LANGS },
+  { name: "html", keep: ROOT_LANGS },
+  { name: "comment", keep: TRANSLATION_LANGS },
+  { name: "variant", keep: ROOT_LANGS },
+  { name: "reference", keep: ROOT_LANGS },
 ];
 
 const FILES_TO_DELETE = [
@@ -62,6 +68,7 @@ function processDirectory(dirConfig) {
 
 function cleanup() {
   console.log("Starting cleanup of bilara-data-published...");
+  console.log(`Keeping translation languages: ${TRANSLATION_LANGS.join(", ")}`);
 
   // 1. Process main directories (keep specific langs)
   DIRS_TO_PROCESS.forEach(processDirectory);
@@ -0,0 +1,412 @@
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const { parseCron } = require("./cron");
+
+/**
+ * Settings of the server and the pipeline scripts. Each one is read from, in
+ * order of precedence:
+ * - its environment variable (e.g. PORT)
+ * - the config file, under its key (e.g. `port`): CONFIG_FILE, or else the
+ *   first of config.json, config.yaml and config.yml in the server directory
+ * - its default
+ *
+ * Relative paths are resolved against the server directory. Values are
+ * validated when the module is first required, so a bad setting stops the
+ * server or script at startup with every problem listed.
+ */
+
+const SERVER_DIR = path.resolve(__dirname, "..");
+const CONFIG_FILE_NAMES = ["config.json", "config.yaml", "config.yml"];
+
+const SETTINGS = [
+  // Server
+  { key: "port", env: "PORT", type: "port", default: 3000 },
+  // Where clients reach the server, listed in the Swagger docs
+  {
+    key: "serverUrl",
+    env: "SERVER_URL",
+    type: "url",
+    default: ({ port }) => `http://localhost:${port}`,
+  },
+  // Repository of the published data and release bundles
+  {
+    key: "githubRepo",
+    env: "GITHUB_REPO",
+    type: "string",
+    default: "dipantan/suttacentral-api-server",
+  },
+  // Where files missing locally are fetched from (e.g. on Vercel)
+  {
+    key: "dataRemoteBase",
+    env: "DATA_REMOTE_BASE",
+    type: "url",
+    default: ({ githubRepo }) =>
+      `https://raw.githubusercontent.com/${githubRepo}/main/data`,
+  },
+  {
+    key: "releaseRemoteBase",
+    env: "RELEASE_REMOTE_BASE",
+    type: "url",
+    default: ({ githubRepo }) =>
+      `https://github.com/${githubRepo}/releases/latest/download`,
+  },
+  // Site the segment citations (/api/segments) link to
+  {
+    key: "suttacentralSite",
+    env: "SUTTACENTRAL_SITE",
+    type: "url",
+    default: "https://suttacentral.net",
+  },
+  {
+    key: "cacheControlMenu",
+    env: "CACHE_CONTROL_MENU",
+    type: "string",
+    default: "public, max-age=3600",
+  },
+  {
+    key: "cacheControlSuttaplex",
+    env: "CACHE_CONTROL_SUTTAPLEX",
+    type: "string",
+    default: "public, max-age=3600",
+  },
+  {
+    key: "cacheControlSuttas",
+    env: "CACHE_CONTROL_SUTTAS",
+    type: "string",
+    default: "public, max-age=86400",
+  },
+  { key: "watchData", env: "WATCH_DATA", type: "boolean", default: false },
+  // Cron expression in UTC, e.g. "0 3 * * *"
+  {
+    key: "buildSchedule",
+    env: "BUILD_SCHEDULE",
+    type: "string",
+    default: null,
+    validate: (expression) => {
+      try {
+        parseCron(expression);
+        return true;
+      } catch (err) {
+        return err.message;
+      }
+    },
+  },
+
+  // Admin API (see admin_auth.js)
+  { key: "adminToken", env: "ADMIN_TOKEN", type: "string", default: null },
+  { key: "adminTokens", env: "ADMIN_TOKENS", type: "string", default: null },
+  {
+    key: "adminTokensFile",
+    env: "ADMIN_TOKENS_FILE",
+    type: "path",
+    default: null,
+  },
+  {
+    key: "adminAuditLog",
+    env: "ADMIN_AUDIT_LOG",
+    type: "path",
+    default: "logs/admin_audit.log",
+  },
+  {
+    key: "buildHistoryDir",
+    env: "BUILD_HISTORY_DIR",
+    type: "path",
+    default: "logs/builds",
+  },
+  {
+    key: "buildHistoryLimit",
+    env: "BUILD_HISTORY_LIMIT",
+    type: "integer",
+    min: 1,
+    default: 50,
+  },
+
+  // Data
+  // Holds the data tree, its releases and the `current` link
+  { key: "dataDir", env: "DATA_DIR", type: "path", default: "data" },
+  // Data tree the server serves and the scripts work on instead of dataDir.
+  // The pipeline sets it for each step, so only the environment sets it.
+  {
+    key: "dataRoot",
+    env: "DATA_ROOT",
+    type: "path",
+    default: null,
+    envOnly: true,
+  },
+  // Date of the data commit being built (ISO 8601), set by the pipeline too.
+  // Generated files carry it instead of the build time, so building the same
+  // data again gives the same files, and delta bundles only hold real changes.
+  {
+    key: "dataCommitDate",
+    env: "DATA_COMMIT_DATE",
+    type: "string",
+    default: null,
+    envOnly: true,
+    validate: (date) =>
+      !Number.isNaN(Date.parse(date)) || `must be a date, got "${date}"`,
+  },
+  // Published bundles (and what the server serves from them)
+  { key: "publicDir", env: "PUBLIC_DIR", type: "path", default: "public" },
+  // Releases kept on disk, including the current one
+  {
+    key: "keepReleases",
+    env: "KEEP_RELEASES",
+    type: "integer",
+    min: 1,
+    default: 3,
+  },
+  // Previous versions that get a delta bundle to each new version
+  {
+    key: "deltaHistory",
+    env: "DELTA_HISTORY",
+    type: "integer",
+    min: 1,
+    default: 5,
+  },
+  // Languages kept by cleanup_bilara.js
+  {
+    key: "rootLangs",
+    env: "ROOT_LANGS",
+    type: "list",
+    default: Object.freeze(["pli"]),
+    // The index, the database and the sutta routes read root/pli/ms
+    validate: (langs) => langs.includes("pli") || 'must include "pli"',
+  },
+  {
+    key: "translationLangs",
+    env: "TRANSLATION_LANGS",
+    type: "list",
+    default: Object.freeze(["en"]),
+    validate: (langs) => langs.length > 0 || "must list a language",
+  },
+
+  // Upstreams
+  {
+    key: "bilaraRepoUrl",
+    env: "BILARA_REPO_URL",
+    type: "string",
+    default: "https://github.com/suttacentral/bilara-data.git",
+  },
+  {
+    key: "bilaraBranch",
+    env: "BILARA_BRANCH",
+    type: "string",
+    default: "published",
+  },
+  // Point it at scripts/mock_suttacentral.js to work without network
+  {
+    key: "suttacentralApi",
+    env: "SUTTACENTRAL_API",
+    type: "url",
+    default: "https://suttacentral.net/api",
+  },
+  {
+    key: "suttacentralTimeoutMs",
+    env: "SUTTACENTRAL_TIMEOUT_MS",
+    type: "integer",
+    min: 1,
+    default: 30000,
+  },
+  {
+    key: "suttaplexConcurrency",
+    env: "SUTTAPLEX_CONCURRENCY",
+    type: "integer",
+    min: 1,
+    default: 4,
+  },
+  {
+    key: "suttaplexMaxRetries",
+    env: "SUTTAPLEX_MAX_RETRIES",
+    type: "integer",
+    min: 0,
+    default: 5,
+  },
+  {
+    key: "suttaplexRetryBaseMs",
+    env: "SUTTAPLEX_RETRY_BASE_MS",
+    type: "integer",
+    min: 0,
+    default: 1000,
+  },
+  {
+    key: "suttaplexMaxAgeDays",
+    env: "SUTTAPLEX_MAX_AGE_DAYS",
+    type: "integer",
+    min: 0,
+    default: 7,
+  },
+
+  // Data check thresholds (see check_data.js); unset means any count passes
+  ...[
+    ["dataCheckMaxUnreachableLeaves", "DATA_CHECK_MAX_UNREACHABLE_LEAVES"],
+    ["dataCheckMaxBrokenPaths", "DATA_CHECK_MAX_BROKEN_PATHS"],
+    ["dataCheckMaxOrphanFiles", "DATA_CHECK_MAX_ORPHAN_FILES"],
+    ["dataCheckMaxMissingHtml", "DATA_CHECK_MAX_MISSING_HTML"],
+    ["dataCheckMaxUnlistedSuttas", "DATA_CHECK_MAX_UNLISTED_SUTTAS"],
+  ].map(([key, env]) => ({ key, env, type: "integer", min: 0, default: null })),
+];
+
+/**
+ * Parses a value of `setting` from the environment (a string) or the config
+ * file (any JSON/YAML value). Returns `{ value }` or `{ error }`.
+ */
+function parseValue(setting, raw) {
+  const isText = typeof raw === "string";
+  const text = isText ? raw.trim() : raw;
+
+  switch (setting.type) {
+    case "string":
+      return typeof text === "string"
+        ? { value: text }
+        : { error: "must be a string" };
+    case "path":
+      return typeof text === "string" && text
+        ? { value: path.resolve(SERVER_DIR, text) }
+        : { error: "must be a path" };
+    case "url": {
+      let url;
+      try {
+        url = new URL(text);
+      } catch (err) {
+        return { error: `must be an http(s) URL, got "${text}"` };
+      }
+      if (!["http:", "https:"].includes(url.protocol)) {
+        return { error: `must be an http(s) URL, got "${text}"` };
+      }
+      return { value: text.replace(/\/+$/, "") };
+    }
+    case "boolean":
+      if (typeof text === "boolean") return { value: text };
+      if (["true", "1"].includes(text)) return { value: true };
+      if (["false", "0"].includes(text)) return { value: false };
+      return { error: `must be true or false, got "${text}"` };
+    case "integer":
+    case "port": {
+      const value = isText && /^-?\d+$/.test(text) ? Number(text) : text;
+      const [min, max] =
+        setting.type === "port" ? [0, 65535] : [setting.min, Infinity];
+      if (!Number.isInteger(value) || value < min || value > max) {
+        return {
+          error:
+            max === Infinity
+              ? `must be a whole number of at least ${min}, got "${text}"`
+              : `must be a whole number from ${min} to ${max}, got "${text}"`,
+        };
+      }
+      return { value };
+    }
+    case "list": {
+      const items = Array.isArray(text)
+        ? text
+        : typeof text === "string"
+          ? text.split(",")
+          : null;
+      if (!items || items.some((item) => typeof item !== "string")) {
+        return { error: "must be a list or a comma-separated string" };
+      }
+      return { value: items.map((item) => item.trim()).filter(Boolean) };
+    }
+    default:
+      throw new Error(`Unknown setting type ${setting.type}`);
+  }
+}
+
+// The explicit CONFIG_FILE, or the first default config file that exists
+function findConfigFile(env) {
+  if (env.CONFIG_FILE) return path.resolve(SERVER_DIR, env.CONFIG_FILE);
+  return (
+    CONFIG_FILE_NAMES.map((name) => path.join(SERVER_DIR, name)).find(
+      (filePath) => fs.existsSync(filePath),
+    ) || null
+  );
+}
+
+function readConfigFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Config file not found: ${filePath}`);
+  }
+  const text = fs.readFileSync(filePath, "utf8");
+  let content;
+  try {
+    content = /\.ya?ml$/i.test(filePath) ? YAML.parse(text) : JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Could not parse config file ${filePath}: ${err.message}`);
+  }
+  if (content === null || content === undefined) return {};
+  if (typeof content !== "object" || Array.isArray(content)) {
+    throw new Error(`Config file ${filePath} must hold an object of settings`);
+  }
+  return content;
+}
+
+/**
+ * Resolves every setting from `env` and the config file. Throws one error
+ * listing every invalid or unknown setting. The result is frozen and has
+ * `configFile`, the file that was read (or null).
+ */
+function loadConfig(env = process.env) {
+  const configFile = findConfigFile(env);
+  const fileValues = configFile ? readConfigFile(configFile) : {};
+  const problems = [];
+  const config = {};
+
+  // Unknown keys are most likely typos, which would silently be ignored
+  const fileKeys = SETTINGS.filter((s) => !s.envOnly).map((s) => s.key);
+  Object.keys(fileValues)
+    .filter((key) => !fileKeys.includes(key))
+    .forEach((key) =>
+      problems.push(`${key} (in ${configFile}): unknown setting`),
+    );
+
+  SETTINGS.forEach((setting) => {
+    const envValue = (env[setting.env] || "").trim();
+    const fileValue = setting.envOnly ? null : fileValues[setting.key];
+    let raw;
+    let source;
+    if (envValue) {
+      raw = envValue;
+      source = setting.env;
+    } else if (fileValue !== undefined && fileValue !== null) {
+      raw = fileValue;
+      source = `${setting.key} (in ${configFile})`;
+    }
+
+    if (source === undefined) {
+      config[setting.key] =
+        typeof setting.default === "function"
+          ? setting.default(config)
+          : setting.default;
+      if (setting.type === "path" && config[setting.key]) {
+        config[setting.key] = path.resolve(SERVER_DIR, config[setting.key]);
+      }
+      return;
+    }
+
+    const { value, error } = parseValue(setting, raw);
+    const invalid =
+      error || (setting.validate ? setting.validate(value) : true);
+    if (invalid !== true) {
+      problems.push(`${source}: ${invalid}`);
+      return;
+    }
+    config[setting.key] = Array.isArray(value) ? Object.freeze(value) : value;
+  });
+
+  if (problems.length) {
+    throw new Error(
+      `Invalid configuration:\n${problems.map((p) => `  - ${p}`).join("\n")}`,
+    );
+  }
+  return Object.freeze({ ...config, configFile });
+}
+
+const config = loadConfig();
+
+module.exports = {
+  SERVER_DIR,
+  CONFIG_FILE_NAMES,
+  SETTINGS,
+  loadConfig,
+  config,
+};
@@ -0,0 +1,121 @@
+/**
+ * Cron expressions with the standard five fields (minute hour day-of-month
+ * month day-of-week), evaluated in UTC. No dependencies, so config.js can
+ * check BUILD_SCHEDULE with it.
+ */
+
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+const CRON_MACROS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+};
+
+function parseCronField(value, { name, min, max }, expression) {
+  const invalid = () =>
+    new Error(
+      `Invalid cron expression "${expression}": bad ${name} "${value}"`,
+    );
+  const values = new Set();
+  value.split(",").forEach((part) => {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw invalid();
+
+    let [from, to] = [min, max];
+    if (range !== "*") {
+      const bounds = range.split("-").map(Number);
+      if (bounds.some((n) => !Number.isInteger(n))) throw invalid();
+      from = bounds[0];
+      // "5/15" means every 15 from 5 to the end of the range
+      to = bounds.length > 1 ? bounds[1] : stepText ? max : from;
+    }
+    if (from < min || to > max || from > to) throw invalid();
+    for (let n = from; n <= to; n += step) values.add(n);
+  });
+  return values;
+}
+
+/**
+ * Parses a cron expression into the allowed values of each field. Throws on
+ * invalid expressions.
+ */
+function parseCron(expression) {
+  const parts = (CRON_MACROS[expression.trim()] || expression)
+    .trim()
+    .split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(
+      `Invalid cron expression "${expression}": expected 5 fields, got ${parts.length}`,
+    );
+  }
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) =>
+    parseCronField(part, CRON_FIELDS[i], expression),
+  );
+  // Sunday may be written as 0 or 7
+  if (weekdays.has(7)) weekdays.add(0);
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // As in cron, a restricted day of month OR day of week matches
+    anyDay: parts[2] === "*" || parts[4] === "*",
+    daysRestricted: parts[2] !== "*",
+    weekdaysRestricted: parts[4] !== "*",
+  };
+}
+
+function matchesDay(schedule, date) {
+  const dayMatch = schedule.days.has(date.getUTCDate());
+  const weekdayMatch = schedule.weekdays.has(date.getUTCDay());
+  if (schedule.anyDay) {
+    return (
+      (!schedule.daysRestricted || dayMatch) &&
+      (!schedule.weekdaysRestricted || weekdayMatch)
+    );
+  }
+  return dayMatch || weekdayMatch;
+}
+
+/**
+ * Returns the first time strictly after `from` that matches the schedule.
+ */
+function getNextRun(schedule, from = new Date()) {
+  const date = new Date(from);
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+  // Five years covers every valid expression (e.g. 29 February)
+  const limit = date.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() < limit) {
+    if (!schedule.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+    } else if (!matchesDay(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+    } else if (!schedule.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+    } else if (!schedule.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  getNextRun,
+};
@@ -0,0 +1,304 @@
+const fs = require("fs");
+const path = require("path");
+const { config } = require("./config");
+
+/**
+ * The server reads its data through `data/current`, a symlink to the active
+ * data root. The pipeline builds each version in `data/releases/<id>.staging`,
+ * renames it to `data/releases/<id>` and repoints the link, so live requests
+ * never see a half-built tree. Older releases are kept for rollback, along
+ * with the public bundles they published.
+ */
+
+const DATA_DIR = config.dataDir;
+const CURRENT_LINK = path.join(DATA_DIR, "current");
+const RELEASES_DIR = path.join(DATA_DIR, "releases");
+// Seed of the legacy translations; only data/ has it, releases are not given a copy
+const LEGACY_SEED_DIR = path.join(DATA_DIR, "legacy-seed");
+const LEGACY_SEED_MAP = path.join(LEGACY_SEED_DIR, "legacy_sutta_map.json");
+const RELEASE_INFO_FILE = "release.json";
+const STAGING_SUFFIX = ".staging";
+// Releases kept on disk, including the current one
+const KEEP_RELEASES = config.keepReleases;
+// The bundles of a build are written here and only published on promotion.
+// Beside the public directory, so publishing is a rename.
+const PUBLIC_DIR = config.publicDir;
+const PUBLIC_STAGING_DIR = `${PUBLIC_DIR}${STAGING_SUFFIX}`;
+// Bundles a newer release replaced, kept per release id so a rollback can
+// publish them again
+const PUBLIC_RELEASES_DIR = path.join(PUBLIC_DIR, "releases");
+// Published last: clients take a new version from it
+const VERSION_FILE_NAME = "data.json";
+
+// Root of a data tree: the pipeline scripts read and write DATA_ROOT when set
+const getDataRoot = () => config.dataRoot || DATA_DIR;
+
+/**
+ * Points `data/current` at `targetDir`. The new link is created beside the
+ * old one and renamed over it, which replaces it atomically on POSIX.
+ */
+function pointCurrentAt(targetDir) {
+  const tmpLink = `${CURRENT_LINK}.${process.pid}.tmp`;
+  fs.rmSync(tmpLink, { force: true });
+  // "junction" lets Windows create the link without admin rights; ignored elsewhere
+  fs.symlinkSync(path.resolve(targetDir), tmpLink, "junction");
+  fs.renameSync(tmpLink, CURRENT_LINK);
+}
+
+// The release id `data/current` points at, or null for the plain `data/` tree
+function getCurrentRelease() {
+  try {
+    const target = fs.realpathSync(CURRENT_LINK);
+    return path.dirname(target) === fs.realpathSync(RELEASES_DIR)
+      ? path.basename(target)
+      : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * The tree the server reads: `data/current` once a release has been
+ * promoted, `data/` itself before that. Only promotion creates the link, so
+ * it never points back at the directory it lives in.
+ */
+function getServedDataRoot() {
+  return getCurrentRelease() ? CURRENT_LINK : DATA_DIR;
+}
+
+/**
+ * Lists promoted releases, newest first, with the metadata written at
+ * promotion ({ id, commit, created_at }) and whether each one is current.
+ */
+function listReleases() {
+  if (!fs.existsSync(RELEASES_DIR)) return [];
+  const current = getCurrentRelease();
+  return fs
+    .readdirSync(RELEASES_DIR)
+    .filter((id) => !id.endsWith(STAGING_SUFFIX))
+    .filter((id) => fs.statSync(path.join(RELEASES_DIR, id)).isDirectory())
+    .sort()
+    .reverse()
+    .map((id) => {
+      const infoPath = path.join(RELEASES_DIR, id, RELEASE_INFO_FILE);
+      let info = {};
+      try {
+        info = JSON.parse(fs.readFileSync(infoPath, "utf8"));
+      } catch (err) {
+        // Releases without metadata are still usable
+      }
+      return { ...info, id, current: id === current };
+    });
+}
+
+// Release ids sort chronologically, e.g. 20261019T110000Z-1a2b3c4
+function createReleaseId(commit) {
+  const timestamp = new Date()
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d+Z$/, "Z");
+  return `${timestamp}-${String(commit || "unknown").slice(0, 7)}`;
+}
+
+function createStaging(id) {
+  const stagingDir = path.join(RELEASES_DIR, `${id}${STAGING_SUFFIX}`);
+  // Leftovers of interrupted builds
+  if (fs.existsSync(RELEASES_DIR)) {
+    fs.readdirSync(RELEASES_DIR)
+      .filter((name) => name.endsWith(STAGING_SUFFIX))
+      .forEach((name) =>
+        fs.rmSync(path.join(RELEASES_DIR, name), {
+          recursive: true,
+          force: true,
+        }),
+      );
+  }
+  fs.mkdirSync(stagingDir, { recursive: true });
+  return stagingDir;
+}
+
+function removeStaging(stagingDir) {
+  fs.rmSync(stagingDir, { recursive: true, force: true });
+}
+
+function pruneReleases() {
+  listReleases()
+    .filter((release) => !release.current)
+    .slice(Math.max(0, KEEP_RELEASES - 1))
+    .forEach((release) => {
+      console.log(`🧹 Removing old release ${release.id}`);
+      fs.rmSync(path.join(RELEASES_DIR, release.id), {
+        recursive: true,
+        force: true,
+      });
+    });
+}
+
+/**
+ * Renames a finished staging directory into place, makes it current and
+ * prunes old releases. Returns the release id.
+ */
+function promoteStaging(stagingDir, info = {}) {
+  const id = path.basename(stagingDir, STAGING_SUFFIX);
+  const releaseDir = path.join(RELEASES_DIR, id);
+  fs.writeFileSync(
+    path.join(stagingDir, RELEASE_INFO_FILE),
+    JSON.stringify(
+      { id, ...info, created_at: new Date().toISOString() },
+      null,
+      2,
+    ),
+  );
+  fs.renameSync(stagingDir, releaseDir);
+  pointCurrentAt(releaseDir);
+  pruneReleases();
+  return id;
+}
+
+// Empties the public staging directory, dropping bundles of an earlier build
+function createPublicStaging() {
+  fs.rmSync(PUBLIC_STAGING_DIR, { recursive: true, force: true });
+  fs.mkdirSync(PUBLIC_STAGING_DIR, { recursive: true });
+  return PUBLIC_STAGING_DIR;
+}
+
+// The release whose bundles are published, from public/data.json
+function getPublishedRelease() {
+  try {
+    const versionPath = path.join(PUBLIC_DIR, VERSION_FILE_NAME);
+    return JSON.parse(fs.readFileSync(versionPath, "utf8")).release || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Moves the entries of `fromDir` into the public directory, data.json last.
+ * The entries they replace are moved to `keepDir`, or removed without one.
+ * Returns the names that were moved.
+ */
+function moveIntoPublic(fromDir, keepDir) {
+  fs.mkdirSync(PUBLIC_DIR, { recursive: true });
+  if (keepDir) {
+    fs.rmSync(keepDir, { recursive: true, force: true });
+    fs.mkdirSync(keepDir, { recursive: true });
+  }
+  const names = fs
+    .readdirSync(fromDir)
+    .sort((a, b) => (a === VERSION_FILE_NAME) - (b === VERSION_FILE_NAME));
+  names.forEach((name) => {
+    const fromPath = path.join(fromDir, name);
+    const publicPath = path.join(PUBLIC_DIR, name);
+    const oldPath = keepDir ? path.join(keepDir, name) : `${publicPath}.old`;
+    if (fs.existsSync(publicPath)) {
+      if (fs.statSync(publicPath).isDirectory()) {
+        // A directory cannot be renamed over one that has files
+        fs.rmSync(oldPath, { recursive: true, force: true });
+        fs.renameSync(publicPath, oldPath);
+      } else if (keepDir) {
+        // Linked, so the file is still replaced in a single rename
+        fs.linkSync(publicPath, oldPath);
+      }
+    }
+    fs.renameSync(fromPath, publicPath);
+    if (!keepDir) fs.rmSync(oldPath, { recursive: true, force: true });
+  });
+  return names;
+}
+
+// Drops kept bundles of releases that were pruned or are published
+function prunePublicReleases() {
+  if (!fs.existsSync(PUBLIC_RELEASES_DIR)) return;
+  const kept = listReleases().map((release) => release.id);
+  const published = getPublishedRelease();
+  fs.readdirSync(PUBLIC_RELEASES_DIR)
+    .filter((id) => id === published || !kept.includes(id))
+    .forEach((id) =>
+      fs.rmSync(path.join(PUBLIC_RELEASES_DIR, id), {
+        recursive: true,
+        force: true,
+      }),
+    );
+}
+
+/**
+ * Moves everything in the public staging directory into the public
+ * directory and removes the staging directory. What it replaces is kept
+ * for the release published before (see switchPublicBundles). Returns the
+ * names that were published.
+ */
+function publishPublicStaging() {
+  if (!fs.existsSync(PUBLIC_STAGING_DIR)) return [];
+  const previous = getPublishedRelease();
+  const names = moveIntoPublic(
+    PUBLIC_STAGING_DIR,
+    previous && path.join(PUBLIC_RELEASES_DIR, previous),
+  );
+  fs.rmSync(PUBLIC_STAGING_DIR, { recursive: true, force: true });
+  prunePublicReleases();
+  return names;
+}
+
+/**
+ * Whether the bundles of release `id` can be published with its data: they
+ * are live or kept, or this server publishes no bundles at all.
+ */
+function hasPublicBundles(id) {
+  return (
+    !fs.existsSync(path.join(PUBLIC_DIR, VERSION_FILE_NAME)) ||
+    getPublishedRelease() === id ||
+    fs.existsSync(path.join(PUBLIC_RELEASES_DIR, id))
+  );
+}
+
+/**
+ * Publishes the kept bundles of release `id` again, keeping the ones they
+ * replace for the release that was published. Returns the names that were
+ * switched, none when the bundles of `id` are already live or not kept.
+ */
+function switchPublicBundles(id) {
+  const keptDir = path.join(PUBLIC_RELEASES_DIR, id);
+  const published = getPublishedRelease();
+  if (!id || published === id || !fs.existsSync(keptDir)) return [];
+  const names = moveIntoPublic(
+    keptDir,
+    published && path.join(PUBLIC_RELEASES_DIR, published),
+  );
+  fs.rmSync(keptDir, { recursive: true, force: true });
+  return names;
+}
+
+/**
+ * Makes an existing release current again. Throws when it does not exist.
+ */
+function switchRelease(id) {
+  const release = listReleases().find((r) => r.id === id);
+  if (!release) throw new Error(`Release not found: ${id}`);
+  pointCurrentAt(path.join(RELEASES_DIR, id));
+  return release;
+}
+
+module.exports = {
+  DATA_DIR,
+  CURRENT_LINK,
+  RELEASES_DIR,
+  LEGACY_SEED_DIR,
+  LEGACY_SEED_MAP,
+  PUBLIC_STAGING_DIR,
+  PUBLIC_RELEASES_DIR,
+  getDataRoot,
+  pointCurrentAt,
+  getServedDataRoot,
+  getCurrentRelease,
+  listReleases,
+  createReleaseId,
+  createStaging,
+  removeStaging,
+  promoteStaging,
+  createPublicStaging,
+  publishPublicStaging,
+  getPublishedRelease,
+  hasPublicBundles,
+  switchPublicBundles,
+  switchRelease,
+};
@@ -1,7 +1,10 @@
 const fs = require("fs");
 const path = require("path");
+const { getDataRoot } = require("./data_releases");
+const { API_BASE, fetchApi } = require("./fetch_utils");
+const { readSuttaIndex } = require("./sutta_index");
 
-const DATA_DIR = path.join(__dirname, "../data");
+const DATA_DIR = getDataRoot();
 const MENUS_DIR = path.join(DATA_DIR, "menus");
 const INDEX_FILE = path.join(DATA_DIR, "generated/sutta_index.json");
 const LEGACY_DIR = path.join(DATA_DIR, "bilara-data-published/legacy");
@@ -9,13 +12,12 @@ const LEGACY_MAP_FILE = path.join(
   DATA_DIR,
   "bilara-data-published/legacy_sutta_map.json",
 );
-const API_BASE = "https://suttacentral.net/api";
 
 const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 async function fetchJson(url) {
   try {
-    const res = await fetch(url);
+    const res = await fetchApi(url);
     if (!res.ok) throw new Error(`HTTP ${res.status}`);
     return await res.json();
   } catch (err) {
@@ -32,7 +34,7 @@ async function run() {
     return;
   }
 
-  const suttaIndex = JSON.parse(fs.readFileSync(INDEX_FILE, "utf8"));
+  const suttaIndex = readSuttaIndex(INDEX_FILE).suttas;
   let legacyMap = {};
   if (fs.existsSync(LEGACY_MAP_FILE)) {
     legacyMap = JSON.parse(fs.readFileSync(LEGACY_MAP_FILE, "utf8"));
@@ -72,14 +74,13 @@ async function run() {
     `Found ${missingLeaves.length} leaf nodes missing from Bilara data.`,
   );
 
-  // 2. Process missing ones
+  // 2. Process missing ones, skipping those already in the legacy map
+  const toFetch = missingLeaves.filter((uid) => !legacyMap[uid]);
+  console.log(
+    `${missingLeaves.length - toFetch.length} already in the legacy map, ${toFetch.length} to fetch.`,
+  );
   let count = 0;
-  for (const uid of missingLeaves) {
-    // If we already have it in legacy Map, skip
-    if (legacyMap[uid]) {
-      continue;
-    }
-
+  for (const uid of toFetch) {
     console.log(`Processing missing sutta: ${uid}`);
     // Fetch suttaplex to find authors
     const suttaplexData = await fetchJson(`${API_BASE}/suttaplex/${uid}`);
@@ -145,7 +146,7 @@ async function run() {
   // Final save
   fs.writeFileSync(LEGACY_MAP_FILE, JSON.stringify(legacyMap, null, 2));
   console.log(
-    `Completed fetching legacy data. Newly fetched: ${count} / Failed: ${missingLeaves.length - count - Object.keys(legacyMap).length}`,
+    `Completed fetching legacy data. Newly fetched: ${count} / Failed: ${toFetch.length - count}`,
   );
 }
 
@@ -1,7 +1,18 @@
 const fs = require("fs");
 const path = require("path");
+const { config } = require("./config");
 
-const API_BASE = "https://suttacentral.net/api/menu";
+// SuttaCentral API base URL; point it at scripts/mock_suttacentral.js to
+// work without network, e.g. SUTTACENTRAL_API=http://localhost:4000/api
+const API_BASE = config.suttacentralApi;
+// Requests taking longer than this are aborted (and retried where supported)
+const FETCH_TIMEOUT_MS = config.suttacentralTimeoutMs;
+
+/**
+ * fetch() with the request timeout applied
+ */
+const fetchApi = (url) =>
+  fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
 
 /**
  * sleep function to be polite to the API
@@ -12,10 +23,10 @@ const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
  * Fetches menu data for a given UID
  */
 async function fetchMenu(uid) {
-  const url = `${API_BASE}/${uid}`;
+  const url = `${API_BASE}/menu/${uid}`;
   console.log(`Fetching: ${url}`);
   try {
-    const response = await fetch(url);
+    const response = await fetchApi(url);
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`);
     }
@@ -96,5 +107,7 @@ async function processNikaya(rootFile, outputDir) {
 }
 
 module.exports = {
+  API_BASE,
+  fetchApi,
   processNikaya,
 };
@@ -1,7 +1,8 @@
 const fs = require("fs");
 const path = require("path");
+const { getDataRoot } = require("./data_releases");
 
-const MENUS_DIR = path.join(__dirname, "../data/menus");
+const MENUS_DIR = path.join(getDataRoot(), "menus");
 
 function walk(dir) {
   let results = [];
@@ -0,0 +1,148 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const JSZip = require("jszip");
+const {
+  DATA_DIR,
+  PUBLIC_DIR,
+  listBundleFiles,
+  writeZip,
+} = require("./generate_data_bundle");
+const { SPLIT_PITAKAS, buildMenuTree, getCollection } = require("./menu_tree");
+const { SQLITE_FILE } = require("./generated_files");
+
+const COLLECTIONS_DIR_NAME = "collections";
+const COLLECTIONS_DIR = path.join(PUBLIC_DIR, COLLECTIONS_DIR_NAME);
+const COLLECTIONS_MANIFEST_FILE_NAME = "collections.json";
+const COLLECTIONS_MANIFEST_FILE = path.join(
+  COLLECTIONS_DIR,
+  COLLECTIONS_MANIFEST_FILE_NAME,
+);
+const CORE_ARCHIVE = "core";
+// Bilara text folders whose files are named {uid}_{type}-....json
+const SEGMENT_DIRS = [
+  "root",
+  "translation",
+  "html",
+  "comment",
+  "variant",
+  "reference",
+];
+
+const archiveFileName = (name) =>
+  name === CORE_ARCHIVE ? "core.zip" : `collection-${name}.zip`;
+
+// The sutta uid a data file belongs to, or null for shared files
+function getFileUid(relativePath) {
+  const parts = relativePath.split("/");
+  const fileName = parts[parts.length - 1];
+  if (parts[0] === "bilara-data-published") {
+    if (SEGMENT_DIRS.includes(parts[1]) && fileName.includes("_")) {
+      return fileName.split("_")[0];
+    }
+    if (parts[1] === "legacy" && fileName.endsWith(".html")) {
+      return fileName.replace(/\.html$/, "");
+    }
+    return null;
+  }
+  if (parts[0] === "suttaplex" && !fileName.startsWith("_")) {
+    return fileName.replace(/\.json$/, "");
+  }
+  return null;
+}
+
+/**
+ * Bilara paths carry the collection as well (root/pli/ms/sutta/dn/...), which
+ * covers texts that are missing from the menus.
+ */
+function getCollectionFromPath(relativePath) {
+  const parts = relativePath.split("/");
+  if (parts[0] !== "bilara-data-published") return null;
+  if (!SEGMENT_DIRS.includes(parts[1]) || parts.length < 7) return null;
+  const pitaka = parts[4];
+  return SPLIT_PITAKAS.includes(pitaka) ? parts[5] : pitaka;
+}
+
+function sha256File(filePath) {
+  return crypto
+    .createHash("sha256")
+    .update(fs.readFileSync(filePath))
+    .digest("hex");
+}
+
+/**
+ * Splits the bundled data into `collections/collection-<uid>.zip` per
+ * collection (dn, mn, sn, ..., vinaya, abhidhamma) plus `core.zip` with
+ * everything shared (menus, index, metadata), and writes `collections.json`
+ * listing each archive with its size and SHA-256. The directory goes into
+ * `outputDir`, the public staging directory during builds.
+ * `onProgress(done, total)` is called after each archive.
+ */
+async function generateCollectionBundles(
+  commit,
+  dataDir = DATA_DIR,
+  onProgress = () => {},
+  outputDir = PUBLIC_DIR,
+) {
+  console.log("📚 Generating per-collection bundles...");
+  const { parents } = buildMenuTree(path.join(dataDir, "menus"));
+
+  const groups = {};
+  listBundleFiles(dataDir, dataDir).forEach((relativePath) => {
+    // The database covers every collection; it only ships in data.zip
+    if (relativePath === SQLITE_FILE) return;
+    const uid = getFileUid(relativePath);
+    const collection =
+      (uid && getCollection(parents, uid)) ||
+      getCollectionFromPath(relativePath) ||
+      CORE_ARCHIVE;
+    (groups[collection] = groups[collection] || []).push(relativePath);
+  });
+
+  const collectionsDir = path.join(outputDir, COLLECTIONS_DIR_NAME);
+  fs.rmSync(collectionsDir, { recursive: true, force: true });
+  fs.mkdirSync(collectionsDir, { recursive: true });
+
+  const archives = [];
+  const names = Object.keys(groups).sort();
+  // One archive at a time keeps memory bounded
+  for (const name of names) {
+    const zip = new JSZip();
+    groups[name].forEach((relativePath) => {
+      zip.file(relativePath, fs.readFileSync(path.join(dataDir, relativePath)));
+    });
+    const file = archiveFileName(name);
+    const outputFile = path.join(collectionsDir, file);
+    await writeZip(zip, outputFile);
+
+    archives.push({
+      name,
+      file,
+      file_count: groups[name].length,
+      size: fs.statSync(outputFile).size,
+      sha256: sha256File(outputFile),
+    });
+    onProgress(archives.length, names.length);
+  }
+
+  const manifest = {
+    commit,
+    generated_at: new Date().toISOString(),
+    core: CORE_ARCHIVE,
+    archives,
+  };
+  fs.writeFileSync(
+    path.join(collectionsDir, COLLECTIONS_MANIFEST_FILE_NAME),
+    JSON.stringify(manifest, null, 2),
+  );
+  console.log(
+    `✅ ${archives.length} archives written to ${collectionsDir} (core + ${archives.length - 1} collections)`,
+  );
+  return manifest;
+}
+
+module.exports = {
+  COLLECTIONS_DIR,
+  COLLECTIONS_MANIFEST_FILE,
+  generateCollectionBundles,
+};
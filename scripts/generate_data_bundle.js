@@ -1,20 +1,29 @@
 const fs = require("fs");
 const path = require("path");
 const JSZip = require("jszip");
+const { REPORT_FILE } = require("./check_data");
+const { SEARCH_INDEX_FILE } = require("./search_utils");
+const { generateSqliteDb } = require("./generate_sqlite_db");
+const { config } = require("./config");
 
-const DATA_DIR = path.resolve(__dirname, "../data");
-const OUTPUT_DIR = path.resolve(__dirname, "../public");
-const OUTPUT_FILE = path.join(OUTPUT_DIR, "data.zip");
+const DATA_DIR = config.dataDir;
+// Published bundles; PUBLIC_DIR moves them (and what the server serves)
+const OUTPUT_DIR = config.publicDir;
+const BUNDLE_FILE_NAME = "data.zip";
 
-function addDirectoryToZip(zip, dirPath, rootPath) {
+/**
+ * Lists the files that go into the bundle, as POSIX paths relative to `rootPath`.
+ */
+function listBundleFiles(dirPath, rootPath, results = []) {
   const files = fs.readdirSync(dirPath);
 
   for (const file of files) {
-    // Skip .git, node_modules, and legacy seed; include menus/generated in bundle
+    // Skip .git, node_modules, legacy seed and the release tree; include menus/generated in bundle
     if (
       file === ".git" ||
       file === "node_modules" ||
-      file === "legacy-seed"
+      file === "legacy-seed" ||
+      (dirPath === rootPath && (file === "current" || file === "releases"))
     ) {
       continue;
     }
@@ -23,62 +32,106 @@ function addDirectoryToZip(zip, dirPath, rootPath) {
     const stat = fs.statSync(filePath);
     const relativePath = path.relative(rootPath, filePath).replace(/\\/g, "/");
 
-    // Also skip any nested legacy-seed content if reached indirectly
-    if (relativePath.startsWith("legacy-seed/")) {
+    // Also skip any nested legacy-seed content if reached indirectly, the
+    // data check report, which is for admins only, and the search index,
+    // which only the server uses
+    if (
+      relativePath.startsWith("legacy-seed/") ||
+      relativePath === REPORT_FILE ||
+      relativePath === SEARCH_INDEX_FILE
+    ) {
       continue;
     }
 
     if (stat.isDirectory()) {
-      addDirectoryToZip(zip, filePath, rootPath);
+      listBundleFiles(filePath, rootPath, results);
     } else {
-      const content = fs.readFileSync(filePath);
-      zip.file(relativePath, content);
+      results.push(relativePath);
     }
   }
+  return results;
 }
 
-async function generateBundle() {
+function addDirectoryToZip(zip, dirPath, rootPath) {
+  for (const relativePath of listBundleFiles(dirPath, rootPath)) {
+    const content = fs.readFileSync(path.join(rootPath, relativePath));
+    zip.file(relativePath, content);
+  }
+}
+
+/**
+ * Streams a JSZip archive to `outputFile` with the bundle compression settings.
+ * `onProgress`, if given, receives the percentage written so far.
+ */
+function writeZip(zip, outputFile, onProgress) {
+  return new Promise((resolve, reject) => {
+    zip
+      .generateNodeStream(
+        {
+          type: "nodebuffer",
+          streamFiles: true,
+          compression: "DEFLATE",
+          compressionOptions: { level: 6 },
+        },
+        onProgress && ((metadata) => onProgress(metadata.percent)),
+      )
+      .pipe(fs.createWriteStream(outputFile))
+      .on("finish", () => resolve(outputFile))
+      .on("error", reject);
+  });
+}
+
+/**
+ * Writes `generated/sutta.sqlite` into the data tree at `dataDir` (a staged
+ * release during builds), then zips the tree into `data.zip` in `outputDir`
+ * (the public staging directory during builds). `onProgress` receives the
+ * compression percentage.
+ */
+async function generateBundle(
+  dataDir = DATA_DIR,
+  onProgress,
+  outputDir = OUTPUT_DIR,
+) {
   console.log("📦 Starting data bundle generation...");
 
-  if (!fs.existsSync(DATA_DIR)) {
-    console.error(`❌ Data directory not found: ${DATA_DIR}`);
-    throw new Error(`Data directory not found: ${DATA_DIR}`);
+  if (!fs.existsSync(dataDir)) {
+    console.error(`❌ Data directory not found: ${dataDir}`);
+    throw new Error(`Data directory not found: ${dataDir}`);
   }
 
-  if (!fs.existsSync(OUTPUT_DIR)) {
-    console.log(`📂 Creating output directory: ${OUTPUT_DIR}`);
-    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+  const outputFile = path.join(outputDir, BUNDLE_FILE_NAME);
+  if (!fs.existsSync(outputDir)) {
+    console.log(`📂 Creating output directory: ${outputDir}`);
+    fs.mkdirSync(outputDir, { recursive: true });
   }
 
+  // Prebuilt database for apps, shipped inside the bundle
+  generateSqliteDb(dataDir);
+
   const zip = new JSZip();
 
-  console.log(`📂 Scanning data from: ${DATA_DIR}`);
-  addDirectoryToZip(zip, DATA_DIR, DATA_DIR);
+  console.log(`📂 Scanning data from: ${dataDir}`);
+  addDirectoryToZip(zip, dataDir, dataDir);
 
   console.log("Waiting for zip compression...");
 
-  return new Promise((resolve, reject) => {
-    zip
-      .generateNodeStream({
-        type: "nodebuffer",
-        streamFiles: true,
-        compression: "DEFLATE",
-        compressionOptions: { level: 6 },
-      })
-      .pipe(fs.createWriteStream(OUTPUT_FILE))
-      .on("finish", function () {
-        console.log(`✅ Data bundle created at: ${OUTPUT_FILE}`);
-        const stats = fs.statSync(OUTPUT_FILE);
-        console.log(`📊 Size: ${(stats.size / 1024 / 1024).toFixed(2)} MB`);
-        resolve(OUTPUT_FILE);
-      })
-      .on("error", (err) => {
-        console.error("❌ Error writing zip file:", err);
-        reject(err);
-      });
-  });
+  try {
+    await writeZip(zip, outputFile, onProgress);
+  } catch (err) {
+    console.error("❌ Error writing zip file:", err);
+    throw err;
+  }
+  console.log(`✅ Data bundle created at: ${outputFile}`);
+  const stats = fs.statSync(outputFile);
+  console.log(`📊 Size: ${(stats.size / 1024 / 1024).toFixed(2)} MB`);
+  return outputFile;
 }
 
 module.exports = {
+  DATA_DIR,
+  PUBLIC_DIR: OUTPUT_DIR,
+  BUNDLE_FILE_NAME,
+  listBundleFiles,
+  writeZip,
   generateBundle,
 };
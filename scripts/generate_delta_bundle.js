@@ -0,0 +1,152 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const JSZip = require("jszip");
+const {
+  DATA_DIR,
+  PUBLIC_DIR,
+  BUNDLE_FILE_NAME,
+  listBundleFiles,
+  writeZip,
+} = require("./generate_data_bundle");
+const { config } = require("./config");
+
+// One file manifest ({ path: sha1 }) per bundled data version
+const MANIFESTS_DIR = path.join(PUBLIC_DIR, "manifests");
+const CURRENT_MANIFEST_FILE_NAME = "data_manifest.json";
+const DELTAS_DIR = path.join(PUBLIC_DIR, "deltas");
+// Number of previous versions that get a delta straight to the new version
+const DELTA_HISTORY = config.deltaHistory;
+
+const deltaFileName = (fromCommit) => `delta-${fromCommit}.zip`;
+
+function buildFileManifest(commit, dataDir) {
+  const files = {};
+  listBundleFiles(dataDir, dataDir).forEach((relativePath) => {
+    const content = fs.readFileSync(path.join(dataDir, relativePath));
+    files[relativePath] = crypto
+      .createHash("sha1")
+      .update(content)
+      .digest("hex");
+  });
+  return { commit, created_at: new Date().toISOString(), files };
+}
+
+function diffManifests(previous, current) {
+  const added = [];
+  const changed = [];
+  Object.entries(current.files).forEach(([file, hash]) => {
+    if (!(file in previous.files)) added.push(file);
+    else if (previous.files[file] !== hash) changed.push(file);
+  });
+  const deleted = Object.keys(previous.files).filter(
+    (file) => !(file in current.files),
+  );
+  return { from: previous.commit, to: current.commit, added, changed, deleted };
+}
+
+// Previous manifests, newest first
+function loadPreviousManifests(commit) {
+  if (!fs.existsSync(MANIFESTS_DIR)) return [];
+  return fs
+    .readdirSync(MANIFESTS_DIR)
+    .filter((file) => file.endsWith(".json") && file !== `${commit}.json`)
+    .map((file) => {
+      try {
+        return JSON.parse(
+          fs.readFileSync(path.join(MANIFESTS_DIR, file), "utf8"),
+        );
+      } catch (err) {
+        console.warn(`⚠️ Skipping unreadable manifest ${file}:`, err.message);
+        return null;
+      }
+    })
+    .filter((manifest) => manifest && manifest.commit && manifest.files)
+    .sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at));
+}
+
+/**
+ * Writes a delta archive: `delta.json` (from, to, added, changed, deleted)
+ * plus the contents of every added or changed file at its bundle path.
+ */
+function writeDeltaZip(diff, outputFile, dataDir) {
+  const zip = new JSZip();
+  zip.file("delta.json", JSON.stringify(diff, null, 2));
+  [...diff.added, ...diff.changed].forEach((file) => {
+    zip.file(file, fs.readFileSync(path.join(dataDir, file)));
+  });
+  return writeZip(zip, outputFile);
+}
+
+/**
+ * Records the file manifest of the freshly bundled data tree for `commit`
+ * and emits `deltas/delta-<from>.zip` against each of the last DELTA_HISTORY
+ * published versions, in `outputDir` beside its `data.zip`. A delta that
+ * would not be smaller than the full bundle is dropped. `outputDir/manifests`
+ * gets the manifests still needed for the next build's deltas. Returns the
+ * commits that have a delta to `commit`.
+ */
+async function generateDeltas(
+  commit,
+  dataDir = DATA_DIR,
+  outputDir = PUBLIC_DIR,
+) {
+  console.log("🧮 Hashing bundled files...");
+  const manifest = buildFileManifest(commit, dataDir);
+  const allPrevious = loadPreviousManifests(commit);
+  const previousManifests = allPrevious.slice(0, DELTA_HISTORY);
+
+  const deltasDir = path.join(outputDir, "deltas");
+  const manifestsDir = path.join(outputDir, "manifests");
+  const fullBundleFile = path.join(outputDir, BUNDLE_FILE_NAME);
+
+  // Deltas always target the newest version
+  fs.rmSync(deltasDir, { recursive: true, force: true });
+  fs.mkdirSync(deltasDir, { recursive: true });
+  fs.mkdirSync(manifestsDir, { recursive: true });
+
+  const fullSize = fs.existsSync(fullBundleFile)
+    ? fs.statSync(fullBundleFile).size
+    : Infinity;
+  const deltas = [];
+  for (const previous of previousManifests) {
+    const diff = diffManifests(previous, manifest);
+    const outputFile = path.join(deltasDir, deltaFileName(previous.commit));
+    await writeDeltaZip(diff, outputFile, dataDir);
+    const { size } = fs.statSync(outputFile);
+    console.log(
+      `📦 Delta from ${previous.commit}: ${diff.added.length} added, ${diff.changed.length} changed, ${diff.deleted.length} deleted (${(size / 1024 / 1024).toFixed(2)} MB)`,
+    );
+    if (size >= fullSize) {
+      console.log("   Not smaller than the full bundle; dropping it.");
+      fs.unlinkSync(outputFile);
+      continue;
+    }
+    deltas.push(previous.commit);
+  }
+
+  const manifestJson = JSON.stringify(manifest);
+  fs.writeFileSync(path.join(manifestsDir, `${commit}.json`), manifestJson);
+  fs.writeFileSync(
+    path.join(outputDir, CURRENT_MANIFEST_FILE_NAME),
+    manifestJson,
+  );
+
+  // Only the manifests that can still produce a delta next time are kept
+  allPrevious.forEach((previous, i) => {
+    const manifestFile = path.join(manifestsDir, `${previous.commit}.json`);
+    if (i < DELTA_HISTORY - 1) {
+      fs.writeFileSync(manifestFile, JSON.stringify(previous));
+    } else {
+      fs.rmSync(manifestFile, { force: true });
+    }
+  });
+
+  return deltas;
+}
+
+module.exports = {
+  DELTAS_DIR,
+  deltaFileName,
+  generateDeltas,
+};
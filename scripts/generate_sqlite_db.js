@@ -0,0 +1,267 @@
+const fs = require("fs");
+const path = require("path");
+const { buildMenuTree, getCollection } = require("./menu_tree");
+const { readSuttaIndex } = require("./sutta_index");
+const { SQLITE_FILE } = require("./generated_files");
+
+const SQLITE_SCHEMA_VERSION = 1;
+
+/**
+ * Tables of `sutta.sqlite`. `segments` is an FTS5 table over root, translation
+ * and comment segments; `remove_diacritics` lets "nibbana" match "nibbāna",
+ * like /api/search. Comment segments are stored without their inline HTML.
+ */
+const SCHEMA = `
+  CREATE TABLE meta (key TEXT PRIMARY KEY, value TEXT);
+  CREATE TABLE menu (
+    uid TEXT PRIMARY KEY,
+    parent_uid TEXT,
+    sort_order INTEGER NOT NULL,
+    node_type TEXT,
+    acronym TEXT,
+    root_name TEXT,
+    translated_name TEXT,
+    blurb TEXT
+  );
+  CREATE INDEX menu_parent ON menu (parent_uid, sort_order);
+  CREATE TABLE suttas (
+    uid TEXT PRIMARY KEY,
+    collection TEXT,
+    root_path TEXT,
+    legacy_author_uid TEXT,
+    legacy_path TEXT
+  );
+  CREATE INDEX suttas_collection ON suttas (collection);
+  CREATE TABLE translations (
+    uid TEXT NOT NULL,
+    lang TEXT NOT NULL,
+    author_uid TEXT NOT NULL,
+    path TEXT NOT NULL,
+    PRIMARY KEY (uid, lang, author_uid)
+  );
+  CREATE TABLE authors (uid TEXT PRIMARY KEY, name TEXT, type TEXT);
+  CREATE TABLE publications (
+    publication_number TEXT PRIMARY KEY,
+    author_uid TEXT,
+    text_uid TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE VIRTUAL TABLE segments USING fts5(
+    uid UNINDEXED,
+    segment_id UNINDEXED,
+    type UNINDEXED,
+    lang UNINDEXED,
+    author_uid UNINDEXED,
+    text,
+    tokenize = 'unicode61 remove_diacritics 2'
+  );
+`;
+
+const readJson = (filePath, fallback) => {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    return fallback;
+  }
+};
+
+const stripTags = (text) => String(text).replace(/<[^>]*>/g, "");
+
+/**
+ * Writes `generated/sutta.sqlite` into the data tree at `dataDir`: the sutta
+ * index, menu tree, author/publication metadata and the segment text in FTS5,
+ * so apps can open it directly instead of importing the JSON files. Returns
+ * the database path and row counts.
+ */
+function generateSqliteDb(dataDir) {
+  // Loaded here, so requiring the bundle scripts (as the server does) never
+  // needs the native module
+  const Database = require("better-sqlite3");
+  console.log("🗃️ Generating SQLite database...");
+  const bilaraBase = path.join(dataDir, "bilara-data-published");
+  const dbPath = path.join(dataDir, SQLITE_FILE);
+  const index = readSuttaIndex(
+    path.join(dataDir, "generated/sutta_index.json"),
+  );
+  if (!index) {
+    throw new Error(`Sutta index not found in ${dataDir}; run build_index.js`);
+  }
+  const { parents, nodes } = buildMenuTree(path.join(dataDir, "menus"));
+  const legacyMap = readJson(
+    path.join(bilaraBase, "legacy_sutta_map.json"),
+    {},
+  );
+
+  // Built beside the target and renamed, so readers never open a partial file
+  const tmpPath = `${dbPath}.${process.pid}.tmp`;
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  fs.rmSync(tmpPath, { force: true });
+  const db = new Database(tmpPath);
+  const counts = { menu: 0, suttas: 0, translations: 0, segments: 0 };
+
+  try {
+    db.pragma("journal_mode = OFF");
+    db.pragma("synchronous = OFF");
+    db.exec(SCHEMA);
+
+    const insertMeta = db.prepare("INSERT INTO meta VALUES (?, ?)");
+    db.transaction(() => {
+      insertMeta.run("schema_version", String(SQLITE_SCHEMA_VERSION));
+      insertMeta.run("index_schema_version", String(index.schema_version));
+      // Not the build time, which would change the file on every build
+      insertMeta.run("generated_at", index.generated_at || null);
+    })();
+
+    // Menu nodes in depth-first (canonical) order
+    const insertMenu = db.prepare(
+      "INSERT INTO menu VALUES (@uid, @parent_uid, @sort_order, @node_type, @acronym, @root_name, @translated_name, @blurb)",
+    );
+    db.transaction(() => {
+      Object.values(nodes).forEach((node, position) => {
+        insertMenu.run({
+          uid: node.uid,
+          parent_uid: parents[node.uid] || null,
+          sort_order: position,
+          node_type: node.node_type || null,
+          acronym: node.acronym || null,
+          root_name: node.root_name || null,
+          translated_name: node.translated_name || null,
+          blurb: node.blurb || null,
+        });
+        counts.menu++;
+      });
+    })();
+
+    const insertAuthor = db.prepare("INSERT INTO authors VALUES (?, ?, ?)");
+    const insertPublication = db.prepare(
+      "INSERT INTO publications VALUES (?, ?, ?, ?)",
+    );
+    db.transaction(() => {
+      const authors = readJson(path.join(bilaraBase, "_author.json"), {});
+      Object.entries(authors).forEach(([uid, author]) => {
+        insertAuthor.run(uid, author.name || null, author.type || null);
+      });
+      const publications = readJson(
+        path.join(bilaraBase, "_publication.json"),
+        {},
+      );
+      Object.entries(publications).forEach(([number, publication]) => {
+        insertPublication.run(
+          number,
+          publication.author_uid || null,
+          publication.text_uid || null,
+          JSON.stringify(publication),
+        );
+      });
+    })();
+
+    const insertSutta = db.prepare(
+      "INSERT INTO suttas VALUES (@uid, @collection, @root_path, @legacy_author_uid, @legacy_path)",
+    );
+    const insertTranslation = db.prepare(
+      "INSERT INTO translations VALUES (?, ?, ?, ?)",
+    );
+    const insertSegment = db.prepare(
+      "INSERT INTO segments VALUES (?, ?, ?, ?, ?, ?)",
+    );
+    const addSegments = (filePath, doc) => {
+      const segments = readJson(filePath, null);
+      if (!segments) return;
+      Object.entries(segments).forEach(([segmentId, text]) => {
+        const plain = doc.type === "comment" ? stripTags(text) : String(text);
+        if (!plain.trim()) return;
+        insertSegment.run(
+          doc.uid,
+          segmentId,
+          doc.type,
+          doc.lang,
+          doc.author,
+          plain,
+        );
+        counts.segments++;
+      });
+    };
+
+    // One transaction per sutta keeps memory flat on the full corpus
+    const addSutta = db.transaction((uid, entry) => {
+      const legacy = legacyMap[uid] || {};
+      insertSutta.run({
+        uid,
+        collection: entry.collection || null,
+        root_path: entry.root,
+        legacy_author_uid: legacy.author_uid || null,
+        legacy_path: legacy.path || null,
+      });
+      counts.suttas++;
+      if (entry.root) {
+        addSegments(path.join(bilaraBase, "root/pli/ms", entry.root), {
+          uid,
+          type: "root",
+          lang: "pli",
+          author: "ms",
+        });
+      }
+      Object.entries(entry.translations).forEach(([lang, authors]) => {
+        Object.entries(authors).forEach(([author, relativePath]) => {
+          insertTranslation.run(uid, lang, author, relativePath);
+          counts.translations++;
+          addSegments(
+            path.join(bilaraBase, "translation", lang, author, relativePath),
+            { uid, type: "translation", lang, author },
+          );
+          // Comments mirror the translation file: {uid}_comment-{lang}-{author}.json
+          addSegments(
+            path.join(
+              bilaraBase,
+              "comment",
+              lang,
+              author,
+              path.dirname(relativePath),
+              path.basename(relativePath).replace("translation-", "comment-"),
+            ),
+            { uid, type: "comment", lang, author },
+          );
+        });
+      });
+    });
+    Object.entries(index.suttas).forEach(([uid, entry]) =>
+      addSutta(uid, entry),
+    );
+
+    // Legacy-only suttas (no Bilara text) are listed too, without segments
+    db.transaction(() => {
+      Object.entries(legacyMap).forEach(([uid, legacy]) => {
+        if (index.suttas[uid]) return;
+        insertSutta.run({
+          uid,
+          collection: getCollection(parents, uid),
+          root_path: null,
+          legacy_author_uid: legacy.author_uid || null,
+          legacy_path: legacy.path || null,
+        });
+        counts.suttas++;
+      });
+    })();
+
+    // Merges the FTS5 b-trees into one, for faster queries on devices
+    db.exec("INSERT INTO segments (segments) VALUES ('optimize')");
+    db.close();
+  } catch (err) {
+    db.close();
+    fs.rmSync(tmpPath, { force: true });
+    throw err;
+  }
+
+  fs.renameSync(tmpPath, dbPath);
+  const size = (fs.statSync(dbPath).size / 1024 / 1024).toFixed(2);
+  console.log(
+    `✅ SQLite database saved to ${dbPath} (${counts.suttas} suttas, ${counts.segments} segments, ${size} MB)`,
+  );
+  return { path: dbPath, counts };
+}
+
+module.exports = {
+  SQLITE_FILE,
+  SQLITE_SCHEMA_VERSION,
+  generateSqliteDb,
+};
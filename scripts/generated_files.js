@@ -0,0 +1,12 @@
+/**
+ * Files the pipeline writes into a data tree, relative to its root. Kept free
+ * of dependencies so the server can import them without loading the modules
+ * that build the files (e.g. better-sqlite3).
+ */
+
+// Inside the data tree, so it ships in data.zip and delta bundles
+const SQLITE_FILE = "generated/sutta.sqlite";
+
+module.exports = {
+  SQLITE_FILE,
+};
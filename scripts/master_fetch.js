@@ -1,11 +1,26 @@
 const fs = require("fs");
 const path = require("path");
-const { processNikaya } = require("./fetch_utils");
+const { API_BASE, fetchApi, processNikaya } = require("./fetch_utils");
+const { getDataRoot } = require("./data_releases");
+const { config } = require("./config");
 
-const DATA_DIR = path.join(__dirname, "../data");
+const DATA_DIR = getDataRoot();
 const MENUS_DIR = path.join(DATA_DIR, "menus");
 const SUTTAPLEX_DIR = path.join(DATA_DIR, "suttaplex");
-const API_BASE = "https://suttacentral.net/api";
+const SUTTAPLEX_MANIFEST = path.join(SUTTAPLEX_DIR, "_crawl_manifest.json");
+
+// Crawl settings (see config.js)
+const CONCURRENCY = config.suttaplexConcurrency;
+const MAX_RETRIES = config.suttaplexMaxRetries;
+const RETRY_BASE_MS = config.suttaplexRetryBaseMs;
+// Saved payloads younger than this are not fetched again
+const MAX_AGE_DAYS = config.suttaplexMaxAgeDays;
+const MANIFEST_SAVE_EVERY = 50;
+
+// CLI flags
+const args = process.argv.slice(2);
+const FORCE = args.includes("--force"); // refetch even fresh files
+const SUTTAPLEX_ONLY = args.includes("--suttaplex-only"); // skip menu fetching
 
 const majorCollections = [
   "long",
@@ -23,7 +38,7 @@ const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 async function fetchJson(url) {
   console.log(`Fetching: ${url}`);
   try {
-    const response = await fetch(url);
+    const response = await fetchApi(url);
     if (!response.ok) throw new Error(`HTTP ${response.status}`);
     return await response.json();
   } catch (err) {
@@ -47,94 +62,222 @@ async function fetchRootMenu() {
   return null;
 }
 
+/**
+ * Fetches JSON, retrying with exponential backoff on 429, 5xx and network errors.
+ * Honours Retry-After when the server sends one. Returns { data, error }.
+ */
+async function fetchJsonWithRetry(url) {
+  let lastError = null;
+  for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+    if (attempt > 0) {
+      console.warn(
+        `🔁 Retry ${attempt}/${MAX_RETRIES} for ${url} (${lastError})`
+      );
+    }
+    let retryAfterMs = null;
+    try {
+      const response = await fetchApi(url);
+      if (response.ok) return { data: await response.json(), error: null };
+
+      lastError = `HTTP ${response.status}`;
+      const retryable = response.status === 429 || response.status >= 500;
+      if (!retryable) return { data: null, error: lastError };
+
+      const retryAfter = Number(response.headers.get("retry-after"));
+      if (retryAfter > 0) retryAfterMs = retryAfter * 1000;
+    } catch (err) {
+      lastError = err.message;
+    }
+
+    if (attempt < MAX_RETRIES) {
+      const backoff = RETRY_BASE_MS * 2 ** attempt;
+      const jitter = Math.floor(Math.random() * RETRY_BASE_MS);
+      await sleep(retryAfterMs || backoff + jitter);
+    }
+  }
+  return { data: null, error: lastError };
+}
+
+/**
+ * Collects every leaf uid in the menus, walking nested children of every
+ * menu file (not only direct children), in first-seen order.
+ */
+function collectLeafUids(menusDir) {
+  const leaves = new Set();
+  const visit = (node) => {
+    if (!node || typeof node !== "object") return;
+    if (Array.isArray(node)) return node.forEach(visit);
+    if (node.node_type === "leaf" && node.uid) leaves.add(node.uid);
+    (node.children || []).forEach(visit);
+  };
+
+  const files = fs.readdirSync(menusDir).filter((f) => f.endsWith(".json"));
+  // Start from root.json so the crawl roughly follows menu order
+  files.sort((a, b) => (a === "root.json" ? -1 : b === "root.json" ? 1 : 0));
+  for (const file of files) {
+    try {
+      visit(JSON.parse(fs.readFileSync(path.join(menusDir, file), "utf8")));
+    } catch (err) {
+      console.error(`Failed to parse menu ${file}:`, err.message);
+    }
+  }
+  return Array.from(leaves);
+}
+
+function loadManifest() {
+  if (fs.existsSync(SUTTAPLEX_MANIFEST)) {
+    try {
+      return JSON.parse(fs.readFileSync(SUTTAPLEX_MANIFEST, "utf8"));
+    } catch (err) {
+      console.warn(
+        "⚠️ Crawl manifest unreadable, starting fresh:",
+        err.message
+      );
+    }
+  }
+  return { started_at: new Date().toISOString(), done: {}, failed: {} };
+}
+
+// Write to a temp file first so an interrupted run never leaves a truncated manifest
+function saveManifest(manifest) {
+  manifest.updated_at = new Date().toISOString();
+  const tmpPath = `${SUTTAPLEX_MANIFEST}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(manifest, null, 2));
+  fs.renameSync(tmpPath, SUTTAPLEX_MANIFEST);
+}
+
+// A payload is fresh when it was fetched (per manifest or file mtime) within MAX_AGE_DAYS
+function isFresh(uid, manifest) {
+  const filePath = path.join(SUTTAPLEX_DIR, `${uid}.json`);
+  if (!fs.existsSync(filePath)) return false;
+  const fetchedAt = manifest.done[uid]
+    ? Date.parse(manifest.done[uid])
+    : fs.statSync(filePath).mtimeMs;
+  return Date.now() - fetchedAt < MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+}
+
 async function fetchSuttaplex(uid) {
   const url = `${API_BASE}/suttaplex/${uid}`;
-  const data = await fetchJson(url);
+  const { data, error } = await fetchJsonWithRetry(url);
   if (data) {
-    if (!fs.existsSync(SUTTAPLEX_DIR))
-      fs.mkdirSync(SUTTAPLEX_DIR, { recursive: true });
     fs.writeFileSync(
       path.join(SUTTAPLEX_DIR, `${uid}.json`),
       JSON.stringify(data, null, 2)
     );
-    console.log(`Saved Suttaplex: ${uid}`);
   }
+  return error;
 }
 
-async function main() {
-  console.log("Starting Master Fetch...");
-
-  // 1. Fetch Root
-  await fetchRootMenu();
-
-  // 2. Process Major Collections (Menus)
-  // We fetch the root file for each collection first, then recurse
-  for (const uid of majorCollections) {
-    console.log(`Processing collection: ${uid}`);
-    const data = await fetchJson(`${API_BASE}/menu/${uid}`);
-    if (data) {
-      // Save the base collection file
-      const collectionFile = path.join(MENUS_DIR, `${uid}.json`);
-      fs.writeFileSync(collectionFile, JSON.stringify(data, null, 2));
-
-      // Recurse using existing logic
-      // Note: processNikaya expects a file path to start from
-      await processNikaya(collectionFile, MENUS_DIR);
+/**
+ * Runs `worker` over `items` with at most `limit` calls in flight.
+ */
+async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const runners = Array.from(
+    { length: Math.min(limit, items.length) },
+    async () => {
+      while (next < items.length) {
+        const item = items[next++];
+        await worker(item);
+      }
     }
-  }
+  );
+  await Promise.all(runners);
+}
 
-  // 3. Suttaplex Fetching (Basic Example)
-  // To fetch ALL Suttaplex is huge. We might just want to demo or fetch for leaf nodes encountered?
-  // The user said "all menu/suttaplex data". That is potentially tens of thousands of requests.
-  // I will implement a "crawl" that collects leaf UIDs from the menus and then fetches suttaplex for them.
-  // This will be very slow if we do all. I'll add a limiter or just do it for what we have.
+/**
+ * Fetches the suttaplex of every menu leaf. Progress is recorded in
+ * data/suttaplex/_crawl_manifest.json, so an interrupted crawl resumes where
+ * it stopped; payloads fetched within MAX_AGE_DAYS are skipped unless --force.
+ */
+async function crawlSuttaplex() {
+  console.log("Scanning menus for Sutta UIDs to fetch Suttaplex...");
+  const leaves = collectLeafUids(MENUS_DIR);
+  if (!fs.existsSync(SUTTAPLEX_DIR))
+    fs.mkdirSync(SUTTAPLEX_DIR, { recursive: true });
 
-  // For now, let's just log that we would do it.
-  // Or better, let's crawl the MENUS_DIR for leaf nodes and fetch their suttaplex.
+  const manifest = loadManifest();
+  manifest.total = leaves.length;
+  const pending = leaves.filter((uid) => FORCE || !isFresh(uid, manifest));
+  console.log(
+    `Found ${leaves.length} leaves; ${leaves.length - pending.length} fresh, ${pending.length} to fetch (concurrency ${CONCURRENCY}).`
+  );
 
-  console.log("Scanning menus for Sutta UIDs to fetch Suttaplex...");
-  const files = fs.readdirSync(MENUS_DIR);
-  let suttasToFetch = [];
+  // Keep progress on Ctrl+C / kill so the next run resumes
+  const onSignal = () => {
+    saveManifest(manifest);
+    console.log("\n💾 Crawl interrupted; progress saved.");
+    process.exit(1);
+  };
+  process.on("SIGINT", onSignal);
+  process.on("SIGTERM", onSignal);
 
-  for (const file of files) {
-    if (!file.endsWith(".json")) continue;
-    const content = JSON.parse(
-      fs.readFileSync(path.join(MENUS_DIR, file), "utf8")
-    );
-    const node = Array.isArray(content) ? content[0] : content;
-
-    if (node.children) {
-      node.children.forEach((child) => {
-        if (child.node_type === "leaf") {
-          suttasToFetch.push(child.uid);
-        }
-      });
+  let completed = 0;
+  let failures = 0;
+  await runWithConcurrency(pending, CONCURRENCY, async (uid) => {
+    const error = await fetchSuttaplex(uid);
+    if (error) {
+      failures++;
+      manifest.failed[uid] = error;
+      console.error(`❌ Suttaplex ${uid}: ${error}`);
+    } else {
+      manifest.done[uid] = new Date().toISOString();
+      delete manifest.failed[uid];
     }
-  }
+    completed++;
+    if (completed % MANIFEST_SAVE_EVERY === 0) {
+      saveManifest(manifest);
+      console.log(`📦 Suttaplex progress: ${completed}/${pending.length}`);
+    }
+  });
 
+  process.off("SIGINT", onSignal);
+  process.off("SIGTERM", onSignal);
+  saveManifest(manifest);
   console.log(
-    `Found ${suttasToFetch.length} potential Suttas. Fetching Suttaplex (limited to first 20 for safety)...`
+    `✅ Suttaplex crawl finished: ${completed - failures} fetched, ${failures} failed.`
   );
-  // Limit to avoid banning or huge time in this demo script
-  // The user can remove the limit if they really want ALL.
+}
 
-  for (const uid of suttasToFetch.slice(0, 20)) {
-    await fetchSuttaplex(uid);
-    await sleep(100);
-  }
+async function main() {
+  console.log("Starting Master Fetch...");
 
-  // 4. Flatten Menus
-  console.log("Flattening menu structure...");
-  try {
-    const { execSync } = require("child_process");
-    // Execute the sibling script
-    const flattenScript = path.join(__dirname, "flatten_menus.js");
-    execSync(`node "${flattenScript}"`, { stdio: "inherit" });
-    console.log("Flattening complete.");
-  } catch (err) {
-    console.error("Error running flatten_menus.js:", err);
+  if (!SUTTAPLEX_ONLY) {
+    // 1. Fetch Root
+    await fetchRootMenu();
+
+    // 2. Process Major Collections (Menus)
+    // We fetch the root file for each collection first, then recurse
+    for (const uid of majorCollections) {
+      console.log(`Processing collection: ${uid}`);
+      const data = await fetchJson(`${API_BASE}/menu/${uid}`);
+      if (data) {
+        // Save the base collection file
+        const collectionFile = path.join(MENUS_DIR, `${uid}.json`);
+        fs.writeFileSync(collectionFile, JSON.stringify(data, null, 2));
+
+        // Recurse using existing logic
+        // Note: processNikaya expects a file path to start from
+        await processNikaya(collectionFile, MENUS_DIR);
+      }
+    }
+
+    // 3. Flatten Menus (the crawl below reads the flattened files)
+    console.log("Flattening menu structure...");
+    try {
+      const { execSync } = require("child_process");
+      // Execute the sibling script
+      const flattenScript = path.join(__dirname, "flatten_menus.js");
+      execSync(`node "${flattenScript}"`, { stdio: "inherit" });
+      console.log("Flattening complete.");
+    } catch (err) {
+      console.error("Error running flatten_menus.js:", err);
+    }
   }
 
+  // 4. Suttaplex for every leaf
+  await crawlSuttaplex();
+
   console.log("Master fetch complete.");
 }
 
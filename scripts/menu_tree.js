@@ -0,0 +1,112 @@
+const fs = require("fs");
+const path = require("path");
+const { config } = require("./config");
+
+const MENUS_DIR = path.join(config.dataDir, "menus");
+// root.json lists its nodes alphabetically; SuttaCentral orders the pitakas like this
+const PITAKA_ORDER = ["sutta", "vinaya", "abhidhamma"];
+// Pitakas split into one collection per nikaya (sutta -> long -> dn); the others are one collection
+const SPLIT_PITAKAS = ["sutta"];
+
+/**
+ * Reads a flattened menu file (`menus/{uid}.json`) and returns its node.
+ * Menu files hold either the node itself or a single-item array.
+ */
+function readMenuNode(uid, menusDir = MENUS_DIR) {
+  const filePath = path.join(menusDir, `${uid}.json`);
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    const content = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    return Array.isArray(content) ? content[0] : content;
+  } catch (err) {
+    console.error(`Failed to parse menu ${filePath}:`, err.message);
+    return null;
+  }
+}
+
+const pitakaRank = (uid) => {
+  const rank = PITAKA_ORDER.indexOf(uid);
+  return rank === -1 ? PITAKA_ORDER.length : rank;
+};
+
+/**
+ * Walks the menu tree depth-first starting at `root.json`, following every
+ * branch into its own flattened file.
+ * The pitakas are visited in canonical order (Sutta, Vinaya, Abhidhamma).
+ * Returns `parents` (uid -> parent uid), `leaves` in canonical menu order and
+ * `nodes` (uid -> menu node without its children: titles, acronym, blurb...).
+ */
+function buildMenuTree(menusDir = MENUS_DIR) {
+  const parents = {};
+  const leaves = [];
+  const nodes = {};
+  const visited = new Set();
+
+  const rootPath = path.join(menusDir, "root.json");
+  if (!fs.existsSync(rootPath)) {
+    console.warn(`Root menu not found: ${rootPath}`);
+    return { parents, leaves, nodes };
+  }
+  const rootContent = JSON.parse(fs.readFileSync(rootPath, "utf8"));
+  const rootNodes = (
+    Array.isArray(rootContent) ? rootContent : [rootContent]
+  ).sort((a, b) => pitakaRank(a.uid) - pitakaRank(b.uid));
+
+  function visit(node, parentUid) {
+    // A few texts (e.g. dhp) are listed under more than one branch; the first wins.
+    if (!node || !node.uid || visited.has(node.uid)) return;
+    visited.add(node.uid);
+    if (parentUid) parents[node.uid] = parentUid;
+
+    if (node.node_type === "leaf") {
+      nodes[node.uid] = node;
+      leaves.push(node.uid);
+      return;
+    }
+
+    const fileNode = readMenuNode(node.uid, menusDir);
+    const summary = { ...node, ...fileNode };
+    delete summary.children;
+    nodes[node.uid] = summary;
+    const children = (fileNode && fileNode.children) || node.children || [];
+    children.forEach((child) => visit(child, node.uid));
+  }
+
+  rootNodes.forEach((node) => visit(node, null));
+  return { parents, leaves, nodes };
+}
+
+/**
+ * Returns the ancestors of `uid`, nearest first (e.g. sn12.2 -> [sn12, ..., sutta]).
+ */
+function getAncestors(parents, uid) {
+  const ancestors = [];
+  let current = parents[uid];
+  while (current && !ancestors.includes(current)) {
+    ancestors.push(current);
+    current = parents[current];
+  }
+  return ancestors;
+}
+
+/**
+ * Returns the collection of a menu uid: the nikaya for the Sutta Pitaka
+ * (e.g. sn12.2 -> sn), otherwise the pitaka (e.g. pli-tv-bu-vb-pj1 -> vinaya).
+ */
+function getCollection(parents, uid) {
+  const lineage = [uid, ...getAncestors(parents, uid)];
+  const pitaka = lineage[lineage.length - 1];
+  if (!parents[uid]) return null;
+  if (SPLIT_PITAKAS.includes(pitaka)) {
+    return lineage.length >= 3 ? lineage[lineage.length - 3] : null;
+  }
+  return pitaka;
+}
+
+module.exports = {
+  SPLIT_PITAKAS,
+  readMenuNode,
+  buildMenuTree,
+  getAncestors,
+  getCollection,
+};
@@ -0,0 +1,200 @@
+const fs = require("fs");
+const path = require("path");
+const express = require("express");
+
+/**
+ * A local stand-in for the SuttaCentral API, serving canned responses so the
+ * menu fetch, suttaplex crawl and legacy fallback can run without network:
+ *
+ *   node scripts/mock_suttacentral.js --port 4000
+ *   SUTTACENTRAL_API=http://localhost:4000/api node scripts/master_fetch.js
+ *
+ * `GET /api/{path}` answers with `{fixturesDir}/{path}.json` (the query string
+ * is ignored), e.g. `/api/suttaplex/dn1` with `suttaplex/dn1.json`, and 404
+ * when there is no such file.
+ *
+ * Faults make matching requests fail instead. They are given as
+ * `path=fault[:times]` entries (comma-separated in MOCK_FAULTS, or repeated
+ * --fault options): `path` is relative to /api and may end in `*`; `fault` is
+ * an HTTP status (429 answers with `Retry-After: 1`) or `timeout`, which never
+ * answers. Without `times` the fault applies to every request, e.g.
+ * `suttaplex/dn1=429:2,menu/linked=500,suttas/*=timeout`.
+ *
+ * Faults can also be changed at runtime, and the requests seen inspected:
+ * - `GET|POST|DELETE /__mock/faults` (POST takes `{ path, fault, times }`)
+ * - `GET|DELETE /__mock/requests`
+ */
+
+const FIXTURES_DIR = path.resolve(__dirname, "../fixtures/suttacentral");
+const DEFAULT_PORT = 4000;
+
+/**
+ * Parses `path=fault[:times]` entries. Throws on malformed ones.
+ */
+function parseFaults(value = "") {
+  return value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const match = /^([^=]+)=(\d{3}|timeout)(?::(\d+))?$/.exec(entry);
+      if (!match) {
+        throw new Error(
+          `Invalid fault "${entry}": expected path=status|timeout[:times]`,
+        );
+      }
+      return createFault({
+        path: match[1],
+        fault: match[2],
+        times: match[3],
+      });
+    });
+}
+
+function createFault({ path: pattern, fault, times }) {
+  const status = Number(fault);
+  const count = times === undefined || times === null ? null : Number(times);
+  if (
+    !pattern ||
+    (fault !== "timeout" &&
+      !(Number.isInteger(status) && status >= 400 && status <= 599)) ||
+    (count !== null && !(Number.isInteger(count) && count > 0))
+  ) {
+    throw new Error(`Invalid fault for "${pattern}": ${fault}`);
+  }
+  return {
+    path: String(pattern).replace(/^\/+/, ""),
+    fault: fault === "timeout" ? "timeout" : status,
+    // Remaining failures; null fails forever
+    times: count,
+  };
+}
+
+const matchesFault = (fault, apiPath) =>
+  fault.path.endsWith("*")
+    ? apiPath.startsWith(fault.path.slice(0, -1))
+    : apiPath === fault.path;
+
+/**
+ * Builds the mock Express app. `faults` are parsed entries (see parseFaults).
+ * The live fault list and request log are on `app.locals.mock`.
+ */
+function createMockApp({ fixturesDir = FIXTURES_DIR, faults = [] } = {}) {
+  const app = express();
+  const mock = { faults: [...faults], requests: [] };
+  app.locals.mock = mock;
+  app.use(express.json());
+
+  app.get("/__mock/faults", (req, res) => res.json(mock.faults));
+  app.post("/__mock/faults", (req, res) => {
+    try {
+      const fault = createFault(req.body || {});
+      mock.faults.push(fault);
+      res.status(201).json(fault);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+  app.delete("/__mock/faults", (req, res) => {
+    mock.faults = [];
+    res.status(204).end();
+  });
+  app.get("/__mock/requests", (req, res) => res.json(mock.requests));
+  app.delete("/__mock/requests", (req, res) => {
+    mock.requests = [];
+    res.status(204).end();
+  });
+
+  app.get("/api/*apiPath", (req, res) => {
+    const apiPath = req.params.apiPath.join("/");
+    const entry = { time: new Date().toISOString(), path: apiPath };
+    mock.requests.push(entry);
+
+    const fault = mock.faults.find(
+      (f) => f.times !== 0 && matchesFault(f, apiPath),
+    );
+    if (fault) {
+      if (fault.times !== null) fault.times--;
+      entry.status = fault.fault;
+      if (fault.fault === "timeout") return; // leave the request hanging
+      if (fault.fault === 429) res.set("Retry-After", "1");
+      return res.status(fault.fault).json({ error: "Injected fault" });
+    }
+
+    const filePath = path.join(fixturesDir, `${apiPath}.json`);
+    // Fixture paths only, never files outside fixturesDir
+    if (
+      !filePath.startsWith(fixturesDir + path.sep) ||
+      !fs.existsSync(filePath)
+    ) {
+      entry.status = 404;
+      return res.status(404).json({ error: "Not found" });
+    }
+    entry.status = 200;
+    res.type("json").send(fs.readFileSync(filePath, "utf8"));
+  });
+
+  return app;
+}
+
+/**
+ * Starts the mock on `port` (0 picks a free one). Resolves with the server;
+ * `server.close()` also drops requests held by timeout faults.
+ */
+function startMockServer({ port = DEFAULT_PORT, ...options } = {}) {
+  const app = createMockApp(options);
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, (err) => {
+      if (err) return reject(err);
+      resolve(server);
+    });
+    const close = server.close.bind(server);
+    server.close = (callback) => {
+      server.closeAllConnections();
+      return close(callback);
+    };
+    server.app = app;
+  });
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name) =>
+    args.flatMap((arg, i) => (arg === name ? [args[i + 1]] : []));
+
+  let faults;
+  try {
+    faults = [process.env.MOCK_FAULTS, ...option("--fault")]
+      .filter(Boolean)
+      .flatMap((value) => parseFaults(value));
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(2);
+  }
+  const port = Number(option("--port")[0] || process.env.MOCK_PORT);
+
+  startMockServer({
+    port: Number.isInteger(port) && port >= 0 ? port : DEFAULT_PORT,
+    fixturesDir: option("--fixtures")[0]
+      ? path.resolve(option("--fixtures")[0])
+      : FIXTURES_DIR,
+    faults,
+  }).then((server) => {
+    const { port: listening } = server.address();
+    console.log(
+      `🧪 Mock SuttaCentral API on http://localhost:${listening}/api`,
+    );
+    faults.forEach((f) =>
+      console.log(
+        `   💥 ${f.path} -> ${f.fault}${f.times === null ? "" : ` (${f.times}x)`}`,
+      ),
+    );
+  });
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  parseFaults,
+  createMockApp,
+  startMockServer,
+};
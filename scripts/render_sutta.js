@@ -0,0 +1,248 @@
+/**
+ * Assembles a sutta document from the pieces returned by the /api/suttas route:
+ * `html_text` templates hold a `{}` placeholder per segment, filled with the
+ * root and/or translation segment. Translator comments become footnotes.
+ */
+
+const FORMATS = ["json", "html", "text", "markdown"];
+const LAYOUTS = ["root", "translation", "bilingual"];
+
+const BLOCK_OPEN_REGEX = /<(p|h[1-6]|li|blockquote|dt|dd)\b[^>]*>/gi;
+const BLOCK_CLOSE_REGEX = /<\/(p|h[1-6]|li|blockquote|dt|dd)>/i;
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const decodeEntities = (text) =>
+  text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&");
+
+const stripTags = (html) =>
+  decodeEntities(String(html).replace(/<[^>]*>/g, ""))
+    .replace(/\s+/g, " ")
+    .trim();
+
+const hasSegments = (texts) => Object.keys(texts || {}).length > 0;
+
+// Segments follow the HTML template order, or root then translation order without one
+function getSegmentIds(content) {
+  if (hasSegments(content.html_text)) return Object.keys(content.html_text);
+  return [
+    ...new Set([
+      ...Object.keys(content.root_text),
+      ...Object.keys(content.translation_text),
+    ]),
+  ];
+}
+
+/**
+ * Picks the layout to render: the requested one, otherwise the translation
+ * when there is one and the root text when there is not.
+ */
+function resolveLayout(content, layout) {
+  if (LAYOUTS.includes(layout)) return layout;
+  return hasSegments(content.translation_text) || content.is_legacy
+    ? "translation"
+    : "root";
+}
+
+function renderHtml(content, layout, title) {
+  const useTemplates = hasSegments(content.html_text);
+  const notes = [];
+
+  const body = getSegmentIds(content)
+    .map((id) => {
+      const template = useTemplates
+        ? content.html_text[id] || "{}"
+        : "<p>{}</p>";
+      const parts = [];
+      const root = content.root_text[id];
+      const translation = content.translation_text[id];
+      const comment = content.comment_text[id];
+
+      if (layout !== "translation" && root) {
+        parts.push(
+          `<span class="root" lang="pi">${escapeHtml(root.trim())}</span>`,
+        );
+      }
+      if (layout !== "root" && translation) {
+        parts.push(
+          `<span class="translation" lang="${content.lang}">${escapeHtml(translation.trim())}</span>`,
+        );
+      }
+      if (layout !== "root" && comment) {
+        notes.push(comment);
+        const n = notes.length;
+        parts.push(
+          `<a class="note-ref" id="ref-${n}" href="#note-${n}"><sup>${n}</sup></a>`,
+        );
+      }
+      // A function, so "$&" and the like in the text are not patterns
+      return template.replace("{}", () => parts.join(" "));
+    })
+    .join("\n");
+
+  const notesHtml =
+    notes.length > 0
+      ? `\n<section class="notes">\n<ol>\n${notes
+          .map(
+            (note, i) =>
+              `<li id="note-${i + 1}">${note} <a href="#ref-${i + 1}">↩</a></li>`,
+          )
+          .join("\n")}\n</ol>\n</section>`
+      : "";
+
+  const lang = layout === "root" ? "pi" : content.lang || "en";
+  return `<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+</head>
+<body>
+${body}${notesHtml}
+</body>
+</html>
+`;
+}
+
+/**
+ * Groups segments into blocks (paragraphs, headings, list items) using the
+ * opening and closing tags found in their templates.
+ */
+function buildBlocks(content, layout, noteMarker) {
+  const useTemplates = hasSegments(content.html_text);
+  const blocks = [];
+  const notes = [];
+  let current = null;
+
+  getSegmentIds(content).forEach((id) => {
+    const template = useTemplates ? content.html_text[id] || "{}" : "<p>{}</p>";
+    const [before, after = ""] = template.split("{}");
+    const opened = [...before.matchAll(BLOCK_OPEN_REGEX)].pop();
+    if (opened || !current) {
+      current = {
+        tag: opened ? opened[1].toLowerCase() : "p",
+        root: [],
+        translation: [],
+      };
+      blocks.push(current);
+    }
+
+    const root = content.root_text[id];
+    const translation = content.translation_text[id];
+    const comment = content.comment_text[id];
+    if (root) current.root.push(root.trim());
+    if (translation) current.translation.push(translation.trim());
+    if (layout !== "root" && comment) {
+      notes.push(stripTags(comment));
+      const marker = noteMarker(notes.length);
+      const last = current.translation.length - 1;
+      if (last >= 0) current.translation[last] += marker;
+      else current.translation.push(marker);
+    }
+
+    if (BLOCK_CLOSE_REGEX.test(after)) current = null;
+  });
+
+  return { blocks, notes };
+}
+
+function formatLine(tag, text, format) {
+  if (format !== "markdown") return text;
+  const heading = tag.match(/^h([1-6])$/);
+  if (heading) return `${"#".repeat(Number(heading[1]))} ${text}`;
+  if (tag === "li") return `- ${text}`;
+  if (tag === "blockquote") return `> ${text}`;
+  return text;
+}
+
+function renderText(content, layout, format) {
+  const noteMarker = (n) => (format === "markdown" ? `[^${n}]` : ` [${n}]`);
+  const { blocks, notes } = buildBlocks(content, layout, noteMarker);
+  const lines = [];
+
+  blocks.forEach((block) => {
+    const root = block.root.join(" ");
+    const translation = block.translation.join(" ");
+    if (layout !== "translation" && root) {
+      // Set the Pali apart from the translation in bilingual Markdown
+      const text =
+        format === "markdown" && layout === "bilingual" ? `*${root}*` : root;
+      lines.push(formatLine(block.tag, text, format));
+    }
+    if (layout !== "root" && translation) {
+      lines.push(formatLine(block.tag, translation, format));
+    }
+  });
+
+  if (notes.length > 0) {
+    if (format === "markdown") {
+      lines.push(notes.map((note, i) => `[^${i + 1}]: ${note}`).join("\n"));
+    } else {
+      lines.push(
+        ["Notes", ...notes.map((note, i) => `[${i + 1}] ${note}`)].join("\n"),
+      );
+    }
+  }
+
+  return `${lines.join("\n\n")}\n`;
+}
+
+// Legacy translations are complete HTML documents without segments
+function legacyHtmlToText(html, format) {
+  let text = String(html)
+    .replace(/<head>[\s\S]*?<\/head>/i, "")
+    // Page references such as <a class='ref pts-cs'>PTS cs 1.1.1</a>
+    .replace(/<a class=['"]ref\b[^>]*>[\s\S]*?<\/a>/gi, "");
+  if (format === "markdown") {
+    text = text.replace(
+      /<h([1-6])\b[^>]*>/gi,
+      (match, level) => `\n\n${"#".repeat(Number(level))} `,
+    );
+  }
+  text = text
+    .replace(/<\/(p|h[1-6]|li|blockquote|dt|dd|div|article|section)>/gi, "\n\n")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<[^>]*>/g, "");
+  return `${decodeEntities(text)
+    .replace(/[ \t]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim()}\n`;
+}
+
+/**
+ * Renders sutta content (as returned by loadSuttaContent in app.js) as
+ * "html", "text" or "markdown" using the "root", "translation" or
+ * "bilingual" layout.
+ */
+function renderSutta(content, { format, layout, title }) {
+  const resolvedLayout = resolveLayout(content, layout);
+  const useLegacy =
+    content.is_legacy && content.legacy_html && resolvedLayout !== "root";
+
+  if (format === "html") {
+    return useLegacy
+      ? content.legacy_html
+      : renderHtml(content, resolvedLayout, title || content.uid);
+  }
+  return useLegacy
+    ? legacyHtmlToText(content.legacy_html, format)
+    : renderText(content, resolvedLayout, format);
+}
+
+module.exports = {
+  FORMATS,
+  LAYOUTS,
+  renderSutta,
+};
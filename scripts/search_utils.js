@@ -0,0 +1,115 @@
+/**
+ * Text normalisation shared by the search index builder and the /api/search route,
+ * so that query terms and indexed terms are always tokenised the same way, and
+ * the format of the index's postings.
+ */
+
+// Relative to the data root. Only the server reads it, so it is not bundled.
+const SEARCH_INDEX_FILE = "generated/search_index.json";
+// 2: postings list segments instead of files
+const SEARCH_INDEX_VERSION = 2;
+const MIN_TOKEN_LENGTH = 2;
+const WORD_REGEX = /[\p{L}\p{M}\p{N}]+/gu;
+
+/**
+ * Lowercases and strips diacritics, so "Nibbāna" and "nibbana" compare equal.
+ */
+function normalizeWord(word) {
+  return word.normalize("NFD").replace(/\p{M}/gu, "").toLowerCase();
+}
+
+// Comment segments contain inline HTML (links, <em>, ...)
+function stripTags(text) {
+  return String(text).replace(/<[^>]*>/g, " ");
+}
+
+/**
+ * Splits text into unique normalised tokens.
+ */
+function tokenize(text) {
+  const tokens = new Set();
+  for (const match of stripTags(text).matchAll(WORD_REGEX)) {
+    const token = normalizeWord(match[0]);
+    if (token.length >= MIN_TOKEN_LENGTH) tokens.add(token);
+  }
+  return Array.from(tokens);
+}
+
+/**
+ * Wraps words matching any of `tokens` in <mark>, trimming long segments to a
+ * window around the first match.
+ */
+function highlight(text, tokens, maxLength = 200) {
+  const plain = stripTags(text).replace(/\s+/g, " ").trim();
+  const wanted = new Set(tokens);
+
+  let start = 0;
+  let end = plain.length;
+  if (plain.length > maxLength) {
+    let firstMatch = 0;
+    for (const match of plain.matchAll(WORD_REGEX)) {
+      if (wanted.has(normalizeWord(match[0]))) {
+        firstMatch = match.index;
+        break;
+      }
+    }
+    start = Math.max(0, firstMatch - Math.floor(maxLength / 3));
+    end = Math.min(plain.length, start + maxLength);
+  }
+
+  const window = plain.slice(start, end);
+  const marked = window.replace(WORD_REGEX, (word) =>
+    wanted.has(normalizeWord(word)) ? `<mark>${word}</mark>` : word,
+  );
+  return `${start > 0 ? "…" : ""}${marked}${end < plain.length ? "…" : ""}`;
+}
+
+/**
+ * Postings are ascending segment numbers, stored as the gaps between them so
+ * the index stays small.
+ */
+function encodePostings(segments) {
+  return segments.map((segment, i) =>
+    i ? segment - segments[i - 1] : segment,
+  );
+}
+
+function decodePostings(gaps) {
+  const segments = new Array(gaps.length);
+  let segment = 0;
+  gaps.forEach((gap, i) => {
+    segment += gap;
+    segments[i] = segment;
+  });
+  return segments;
+}
+
+// Segment numbers in both ascending lists
+function intersectPostings(a, b) {
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push(a[i]);
+      i++;
+      j++;
+    } else if (a[i] < b[j]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  SEARCH_INDEX_FILE,
+  SEARCH_INDEX_VERSION,
+  normalizeWord,
+  tokenize,
+  highlight,
+  encodePostings,
+  decodePostings,
+  intersectPostings,
+};
@@ -0,0 +1,92 @@
+const fs = require("fs");
+
+/**
+ * `generated/sutta_index.json`, written by build_index.js:
+ *
+ *   {
+ *     "schema_version": 2,
+ *     "generated_at": "2026-10-19T11:00:00.000Z",
+ *     "path_bases": { "root": ..., "translation": ... },
+ *     "languages": { "en": { "authors": ["sujato"], "suttas": 1 } },
+ *     "collections": { "dn": 1 },
+ *     "suttas": {
+ *       "dn1": {
+ *         "collection": "dn",
+ *         "root": "sutta/dn/dn1_root-pli-ms.json",
+ *         "translations": { "en": { "sujato": "sutta/dn/dn1_translation-en-sujato.json" } }
+ *       }
+ *     }
+ *   }
+ *
+ * `generated_at` is the date of the data commit (DATA_COMMIT_DATE), or the
+ * build time when it is not known.
+ *
+ * Paths are POSIX-style, relative to the `path_bases` directories. Version 1
+ * (no header) was the `suttas` object alone, with paths in the separator of
+ * the OS that built it; readers accept both. The oldest version 1 indexes
+ * keyed translations by author only and only ever contained English.
+ */
+const INDEX_SCHEMA_VERSION = 2;
+
+// Directories the index paths are relative to, under bilara-data-published
+const PATH_BASES = {
+  root: "root/pli/ms",
+  translation: "translation/{lang}/{author}",
+};
+
+const toPosixPath = (relativePath) =>
+  relativePath ? relativePath.replace(/\\/g, "/") : relativePath;
+
+function normalizeEntry(entry) {
+  const translations = {};
+  Object.entries(entry.translations || {}).forEach(([key, value]) => {
+    const [lang, authors] =
+      typeof value === "string" ? ["en", { [key]: value }] : [key, value];
+    translations[lang] = translations[lang] || {};
+    Object.entries(authors).forEach(([author, relativePath]) => {
+      translations[lang][author] = toPosixPath(relativePath);
+    });
+  });
+  return {
+    ...entry,
+    root: toPosixPath(entry.root) || null,
+    translations,
+  };
+}
+
+/**
+ * Normalizes a parsed index of either schema version. Returns its header
+ * (`schema_version`, and for version 2 `generated_at`, `languages`,
+ * `collections`) and `suttas`, uid -> entry with POSIX paths.
+ */
+function parseSuttaIndex(raw) {
+  const isVersioned = raw && typeof raw.schema_version === "number";
+  if (isVersioned && raw.schema_version > INDEX_SCHEMA_VERSION) {
+    throw new Error(
+      `Unsupported sutta index schema version ${raw.schema_version} (this version reads up to ${INDEX_SCHEMA_VERSION})`,
+    );
+  }
+  const { suttas = {}, ...header } = isVersioned
+    ? raw
+    : { schema_version: 1, suttas: raw || {} };
+
+  const normalized = {};
+  Object.entries(suttas).forEach(([uid, entry]) => {
+    normalized[uid] = normalizeEntry(entry);
+  });
+  return { ...header, suttas: normalized };
+}
+
+// Reads and normalizes an index file, or returns null when it does not exist
+function readSuttaIndex(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  return parseSuttaIndex(JSON.parse(fs.readFileSync(filePath, "utf8")));
+}
+
+module.exports = {
+  INDEX_SCHEMA_VERSION,
+  PATH_BASES,
+  toPosixPath,
+  parseSuttaIndex,
+  readSuttaIndex,
+};
@@ -0,0 +1,341 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const childProcess = require("child_process");
+const { EventEmitter } = require("events");
+const fs = require("fs");
+const path = require("path");
+const { PassThrough } = require("stream");
+const { setupFixtureEnv, listen, auth } = require("./helpers");
+
+/**
+ * Stands in for the forked build_pipeline.js: the tests send its progress
+ * messages, output and exit themselves.
+ */
+function createFakePipeline(args) {
+  const child = new EventEmitter();
+  child.args = args;
+  // No pid, so a cancel falls back to child.kill()
+  child.pid = undefined;
+  child.killed = false;
+  child.exitCode = null;
+  child.stdout = new PassThrough();
+  child.stderr = new PassThrough();
+  child.exit = (code, signal = null) => {
+    child.exitCode = code;
+    child.emit("exit", code, signal);
+  };
+  child.kill = (signal) => {
+    child.killed = true;
+    setImmediate(() => child.exit(null, signal));
+    return true;
+  };
+  child.progress = (event) =>
+    child.emit("message", { type: "progress", ...event });
+  child.print = (line) =>
+    new Promise((resolve) => child.stdout.write(`${line}\n`, resolve));
+  return child;
+}
+
+describe("admin routes", () => {
+  let fixture;
+  let server;
+  const pipelines = [];
+
+  before(async () => {
+    fixture = await setupFixtureEnv();
+    // app.js takes fork() when it is required, so mock it first. The data
+    // check (data-report?refresh=true) still runs for real.
+    const { fork } = childProcess;
+    mock.method(childProcess, "fork", (scriptPath, args, options) => {
+      if (!scriptPath.endsWith("build_pipeline.js")) {
+        return fork(scriptPath, args, options);
+      }
+      const child = createFakePipeline(args);
+      pipelines.push(child);
+      return child;
+    });
+    server = await listen(require("../app"));
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await server.close();
+    await fixture.cleanup();
+  });
+
+  const post = (urlPath, body, scope = "build") =>
+    server.request(urlPath, {
+      method: "POST",
+      headers: { ...auth(scope), "Content-Type": "application/json" },
+      body: JSON.stringify(body || {}),
+    });
+  const getJson = async (urlPath) => {
+    const res = await server.request(urlPath, { headers: auth("logs") });
+    assert.equal(res.status, 200);
+    return res.json();
+  };
+  // Resolves once the server has handled the fake pipeline's exit
+  const exitPipeline = (child, code) => {
+    child.exit(code);
+    return new Promise((resolve) => setImmediate(resolve));
+  };
+
+  describe("authentication", () => {
+    it("requires a bearer token", async () => {
+      const res = await server.request("/api/admin/build-status");
+      assert.equal(res.status, 401);
+      assert.match(res.headers.get("www-authenticate"), /Bearer/);
+    });
+
+    it("rejects an unknown token", async () => {
+      const res = await server.request("/api/admin/build-status", {
+        headers: { Authorization: "Bearer wrong" },
+      });
+      assert.equal(res.status, 401);
+    });
+
+    it("requires the route's scope", async () => {
+      const res = await post("/api/admin/build-offline", {}, "logs");
+      assert.equal(res.status, 403);
+      assert.match(res.headers.get("www-authenticate"), /insufficient_scope/);
+      assert.equal(pipelines.length, 0);
+    });
+  });
+
+  describe("build-offline", () => {
+    it("rejects unknown steps", async () => {
+      const res = await post("/api/admin/build-offline", { only: "nope" });
+      assert.equal(res.status, 400);
+      const body = await res.json();
+      assert.ok(body.steps.includes("index"));
+      assert.equal(pipelines.length, 0);
+    });
+
+    it("rejects --only combined with --from", async () => {
+      const res = await post("/api/admin/build-offline", {
+        only: ["index"],
+        from: "bundle",
+      });
+      assert.equal(res.status, 400);
+    });
+
+    it("starts a build and reports its progress until it ends", async () => {
+      const res = await post("/api/admin/build-offline", {
+        from: "index",
+        skip: ["legacy"],
+      });
+      assert.equal(res.status, 202);
+      const { id } = await res.json();
+      assert.equal(res.headers.get("location"), `/api/admin/builds/${id}`);
+
+      const pipeline = pipelines.at(-1);
+      assert.deepEqual(pipeline.args, ["--from", "index", "--skip", "legacy"]);
+
+      const conflict = await post("/api/admin/build-offline");
+      assert.equal(conflict.status, 409);
+
+      pipeline.progress({
+        event: "step",
+        step: 6,
+        total_steps: 10,
+        name: "Building Sutta Index",
+        id: "index",
+      });
+      pipeline.progress({ event: "items", done: 1, total: 4 });
+      await pipeline.print("Indexing fixtures");
+
+      let status = await getJson("/api/admin/build-status");
+      assert.equal(status.isRunning, true);
+      assert.equal(status.progress.build_id, id);
+      assert.equal(status.progress.triggered_by, "ci");
+      assert.equal(status.progress.step, 6);
+      assert.deepEqual(status.progress.items, { done: 1, total: 4 });
+      assert.ok(status.logs.some((line) => line.includes("Indexing fixtures")));
+
+      pipeline.progress({ event: "complete" });
+      await exitPipeline(pipeline, 0);
+
+      status = await getJson("/api/admin/build-status");
+      assert.equal(status.isRunning, false);
+      assert.equal(status.progress.status, "complete");
+
+      const build = await getJson(`/api/admin/builds/${id}`);
+      assert.equal(build.status, "complete");
+      assert.equal(build.exit_code, 0);
+      assert.deepEqual(build.args, ["--from", "index", "--skip", "legacy"]);
+      assert.ok(build.log.some((line) => line.includes("Indexing fixtures")));
+    });
+
+    it("records a failed build", async () => {
+      const res = await post("/api/admin/build-offline", { resume: true });
+      assert.equal(res.status, 202);
+      const { id } = await res.json();
+      const pipeline = pipelines.at(-1);
+      assert.deepEqual(pipeline.args, ["--resume"]);
+
+      pipeline.progress({ event: "failed", error: "Fixture failure" });
+      await exitPipeline(pipeline, 1);
+
+      const build = await getJson(`/api/admin/builds/${id}`);
+      assert.equal(build.status, "failed");
+      assert.equal(build.exit_code, 1);
+    });
+  });
+
+  describe("builds", () => {
+    it("lists the build history without the logs", async () => {
+      const { builds } = await getJson("/api/admin/builds");
+      // Both builds started within the same second, so their order is open
+      assert.deepEqual(builds.map((build) => build.status).sort(), [
+        "complete",
+        "failed",
+      ]);
+      assert.ok(builds.every((build) => build.log === undefined));
+    });
+
+    it("answers 404 for an unknown build", async () => {
+      const res = await server.request("/api/admin/builds/nope", {
+        headers: auth("logs"),
+      });
+      assert.equal(res.status, 404);
+    });
+
+    it("cancels a running build", async () => {
+      const res = await post("/api/admin/build-offline");
+      const { id } = await res.json();
+
+      const cancel = await server.request(`/api/admin/builds/${id}`, {
+        method: "DELETE",
+        headers: auth("build"),
+      });
+      assert.equal(cancel.status, 202);
+      await new Promise((resolve) => setImmediate(resolve));
+
+      const build = await getJson(`/api/admin/builds/${id}`);
+      assert.equal(build.status, "cancelled");
+      assert.equal(build.cancelled_by, "ci");
+      assert.equal(build.signal, "SIGTERM");
+
+      const again = await server.request(`/api/admin/builds/${id}`, {
+        method: "DELETE",
+        headers: auth("build"),
+      });
+      assert.equal(again.status, 409);
+    });
+
+    it("keeps a new build when a cancelled one exits late", async () => {
+      const first = await (await post("/api/admin/build-offline")).json();
+      const slowPipeline = pipelines.at(-1);
+      // Killed, but still running until it exits below
+      slowPipeline.kill = () => {
+        slowPipeline.killed = true;
+        return true;
+      };
+      await server.request(`/api/admin/builds/${first.id}`, {
+        method: "DELETE",
+        headers: auth("build"),
+      });
+
+      const res = await post("/api/admin/build-offline");
+      assert.equal(res.status, 202);
+      const second = await res.json();
+      const pipeline = pipelines.at(-1);
+
+      await slowPipeline.print("Late output");
+      await exitPipeline(slowPipeline, null);
+      assert.equal(
+        (await getJson(`/api/admin/builds/${first.id}`)).status,
+        "cancelled",
+      );
+      let status = await getJson("/api/admin/build-status");
+      assert.equal(status.isRunning, true);
+      assert.equal(status.progress.build_id, second.id);
+      assert.equal(status.progress.status, "running");
+      assert.ok(!status.logs.some((line) => line.includes("Late output")));
+
+      await exitPipeline(pipeline, 0);
+      assert.equal(
+        (await getJson(`/api/admin/builds/${second.id}`)).status,
+        "complete",
+      );
+      status = await getJson("/api/admin/build-status");
+      assert.equal(status.isRunning, false);
+    });
+  });
+
+  describe("data-report", () => {
+    it("answers 404 before a report was saved", async () => {
+      const res = await server.request("/api/admin/data-report", {
+        headers: auth("logs"),
+      });
+      assert.equal(res.status, 404);
+    });
+
+    it("checks the served data on request", async () => {
+      const report = await getJson("/api/admin/data-report?refresh=true");
+      assert.equal(report.ok, true);
+      assert.deepEqual(report.totals, {
+        menu_leaves: 5,
+        indexed: 3,
+        legacy: 1,
+      });
+      // dn3 is listed in the menus without any text
+      assert.deepEqual(report.unreachable_leaves, ["dn3"]);
+      assert.deepEqual(report.counts, {
+        unreachable_leaves: 1,
+        broken_paths: 0,
+        orphan_files: 0,
+        missing_html: 0,
+        unlisted_suttas: 0,
+      });
+    });
+
+    it("reports broken paths and orphan files", async () => {
+      const bilaraBase = path.join(fixture.dataRoot, "bilara-data-published");
+      fs.rmSync(
+        path.join(
+          bilaraBase,
+          "translation/en/bodhi/sutta/sn/sn12/sn12.2_translation-en-bodhi.json",
+        ),
+      );
+      fs.writeFileSync(
+        path.join(bilaraBase, "html/pli/ms/sutta/sn/sn12/sn12.3_html.json"),
+        "{}",
+      );
+
+      const report = await getJson("/api/admin/data-report?refresh=true");
+      assert.deepEqual(report.broken_paths, [
+        {
+          uid: "sn12.2",
+          type: "translation",
+          path: "translation/en/bodhi/sutta/sn/sn12/sn12.2_translation-en-bodhi.json",
+        },
+      ]);
+      assert.deepEqual(report.orphan_files, [
+        "html/pli/ms/sutta/sn/sn12/sn12.3_html.json",
+      ]);
+    });
+
+    it("serves the saved report with the thresholds it exceeds", async () => {
+      const { checkData, writeReport } = require("../scripts/check_data");
+      writeReport(
+        fixture.dataRoot,
+        checkData(fixture.dataRoot, { unreachable_leaves: 0 }),
+      );
+
+      const report = await getJson("/api/admin/data-report?summary=true");
+      assert.equal(report.ok, false);
+      assert.deepEqual(report.failures, ["1 unreachable_leaves (at most 0)"]);
+      assert.equal(report.counts.unreachable_leaves, 1);
+      assert.equal(report.unreachable_leaves, undefined);
+    });
+  });
+
+  it("reloads the data", async () => {
+    const res = await post("/api/admin/reload");
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.suttas, 3);
+    assert.equal(body.index_schema_version, 2);
+  });
+});
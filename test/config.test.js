@@ -0,0 +1,116 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { SERVER_DIR, loadConfig } = require("../scripts/config");
+
+describe("config", () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "sc-api-config-"));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const writeFile = (name, content) => {
+    const filePath = path.join(tmpDir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  it("reads settings from a YAML file, with the environment on top", () => {
+    const configFile = writeFile(
+      "staging.yaml",
+      [
+        "port: 3100",
+        "dataDir: /srv/staging/data",
+        "githubRepo: example/staging-data",
+        "translationLangs: [en, de]",
+        "watchData: true",
+      ].join("\n"),
+    );
+    const config = loadConfig({ CONFIG_FILE: configFile, PORT: "3200" });
+
+    assert.equal(config.configFile, configFile);
+    assert.equal(config.port, 3200);
+    assert.equal(config.serverUrl, "http://localhost:3200");
+    assert.equal(config.dataDir, "/srv/staging/data");
+    assert.deepEqual(config.translationLangs, ["en", "de"]);
+    assert.equal(config.watchData, true);
+    // Derived from githubRepo unless set
+    assert.equal(
+      config.dataRemoteBase,
+      "https://raw.githubusercontent.com/example/staging-data/main/data",
+    );
+    assert.ok(Object.isFrozen(config));
+  });
+
+  it("reads JSON files and resolves paths against the server directory", () => {
+    const configFile = writeFile(
+      "production.json",
+      JSON.stringify({
+        publicDir: "dist/public",
+        suttacentralApi: "http://localhost:4000/api/",
+      }),
+    );
+    const config = loadConfig({ CONFIG_FILE: configFile, DELTA_HISTORY: "" });
+
+    assert.equal(config.publicDir, path.join(SERVER_DIR, "dist/public"));
+    assert.equal(config.suttacentralApi, "http://localhost:4000/api");
+    // Empty variables count as unset
+    assert.equal(config.deltaHistory, 5);
+    assert.equal(config.dataRoot, null);
+  });
+
+  it("keeps the defaults without a config file", () => {
+    const config = loadConfig({
+      CONFIG_FILE: writeFile("empty.yaml", ""),
+      TRANSLATION_LANGS: "en, vi",
+    });
+    assert.equal(config.port, 3000);
+    assert.equal(config.dataDir, path.join(SERVER_DIR, "data"));
+    assert.deepEqual(config.rootLangs, ["pli"]);
+    assert.deepEqual(config.translationLangs, ["en", "vi"]);
+    assert.equal(config.bilaraBranch, "published");
+  });
+
+  it("lists every invalid setting", () => {
+    const configFile = writeFile(
+      "invalid.json",
+      JSON.stringify({ keepReleases: 0, dataRoot: "elsewhere", prot: 80 }),
+    );
+    assert.throws(
+      () =>
+        loadConfig({
+          CONFIG_FILE: configFile,
+          PORT: "http",
+          DATA_REMOTE_BASE: "ftp://example.com/data",
+          ROOT_LANGS: "en",
+          BUILD_SCHEDULE: "0 25 * * *",
+        }),
+      (err) => {
+        assert.match(err.message, /^Invalid configuration:/);
+        assert.match(err.message, /PORT: must be a whole number/);
+        assert.match(err.message, /DATA_REMOTE_BASE: must be an http\(s\) URL/);
+        assert.match(err.message, /ROOT_LANGS: must include "pli"/);
+        assert.match(err.message, /BUILD_SCHEDULE: .*bad hour "25"/);
+        assert.match(err.message, /keepReleases \(in .*\): must be a whole/);
+        // DATA_ROOT is only read from the environment
+        assert.match(err.message, /dataRoot \(in .*\): unknown setting/);
+        assert.match(err.message, /prot \(in .*\): unknown setting/);
+        return true;
+      },
+    );
+  });
+
+  it("rejects a missing config file", () => {
+    assert.throws(
+      () => loadConfig({ CONFIG_FILE: path.join(tmpDir, "missing.json") }),
+      /Config file not found/,
+    );
+  });
+});
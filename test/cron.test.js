@@ -0,0 +1,85 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCron, getNextRun } = require("../scripts/cron");
+
+const sorted = (values) => [...values].sort((a, b) => a - b);
+// A Monday
+const FROM = new Date("2026-10-19T10:00:00Z");
+const nextRun = (expression, from = FROM) => {
+  const next = getNextRun(parseCron(expression), from);
+  return next && next.toISOString();
+};
+
+describe("parseCron", () => {
+  it("expands steps, ranges and lists", () => {
+    assert.deepEqual(
+      sorted(parseCron("*/15 * * * *").minutes),
+      [0, 15, 30, 45],
+    );
+    assert.deepEqual(
+      sorted(parseCron("10-20/5 * * * *").minutes),
+      [10, 15, 20],
+    );
+    // "a/n" runs from a to the end of the range
+    assert.deepEqual(
+      sorted(parseCron("5/15 * * * *").minutes),
+      [5, 20, 35, 50],
+    );
+    assert.deepEqual(
+      sorted(parseCron("0 1,3,5-7 * * *").hours),
+      [1, 3, 5, 6, 7],
+    );
+  });
+
+  it("accepts Sunday as 7", () => {
+    assert.ok(parseCron("0 0 * * 7").weekdays.has(0));
+    assert.equal(nextRun("0 0 * * 7"), "2026-10-25T00:00:00.000Z");
+  });
+
+  it("expands macros", () => {
+    assert.deepEqual(parseCron("@daily"), parseCron("0 0 * * *"));
+    assert.equal(nextRun("@hourly"), "2026-10-19T11:00:00.000Z");
+    assert.equal(nextRun("@weekly"), "2026-10-25T00:00:00.000Z");
+    assert.equal(nextRun("@monthly"), "2026-11-01T00:00:00.000Z");
+  });
+
+  it("rejects invalid expressions", () => {
+    [
+      "* * *",
+      "* * * * * *",
+      "60 * * * *",
+      "* 24 * * *",
+      "* * 0 * *",
+      "*/0 * * * *",
+      "5-1 * * * *",
+      "a * * * *",
+      "@yearly",
+    ].forEach((expression) =>
+      assert.throws(() => parseCron(expression), /Invalid cron expression/),
+    );
+  });
+});
+
+describe("getNextRun", () => {
+  it("returns the first matching minute strictly after the start", () => {
+    assert.equal(nextRun("0 10 * * *"), "2026-10-20T10:00:00.000Z");
+    assert.equal(nextRun("30 10 * * *"), "2026-10-19T10:30:00.000Z");
+  });
+
+  it("matches a restricted day of month or day of week", () => {
+    // The 20th is a Tuesday: it matches by day of month before Friday comes
+    assert.equal(nextRun("0 0 20 * 5"), "2026-10-20T00:00:00.000Z");
+    assert.equal(nextRun("0 0 30 * 5"), "2026-10-23T00:00:00.000Z");
+    // With one of them unrestricted, only the other one counts
+    assert.equal(nextRun("0 0 30 * *"), "2026-10-30T00:00:00.000Z");
+    assert.equal(nextRun("0 0 * * 5"), "2026-10-23T00:00:00.000Z");
+  });
+
+  it("finds 29 February in the next leap year", () => {
+    assert.equal(nextRun("0 12 29 2 *"), "2028-02-29T12:00:00.000Z");
+  });
+
+  it("returns null for an expression that never matches", () => {
+    assert.equal(nextRun("0 0 31 2 *"), null);
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+describe("data releases", () => {
+  let tmpDir;
+  let releases;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "sc-api-releases-"));
+    delete process.env.DATA_ROOT;
+    Object.assign(process.env, {
+      DATA_DIR: path.join(tmpDir, "data"),
+      PUBLIC_DIR: path.join(tmpDir, "public"),
+    });
+    fs.mkdirSync(process.env.DATA_DIR);
+    // scripts/config.js reads the environment once
+    releases = require("../scripts/data_releases");
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("serves data/ without a link until a release is promoted", () => {
+    const { DATA_DIR, CURRENT_LINK } = releases;
+    assert.equal(releases.getServedDataRoot(), DATA_DIR);
+    assert.equal(fs.existsSync(CURRENT_LINK), false);
+
+    const id = releases.createReleaseId("1a2b3c4d");
+    const releaseId = releases.promoteStaging(releases.createStaging(id));
+    assert.equal(releaseId, id);
+    assert.equal(releases.getServedDataRoot(), CURRENT_LINK);
+    assert.equal(
+      fs.realpathSync(CURRENT_LINK),
+      fs.realpathSync(path.join(releases.RELEASES_DIR, id)),
+    );
+  });
+
+  it("keeps the bundles of a release for a rollback", () => {
+    const publicDir = process.env.PUBLIC_DIR;
+    const readPublic = (name) =>
+      fs.readFileSync(path.join(publicDir, name), "utf8");
+    // What the bundle and version steps stage for a release
+    const publish = (id) => {
+      const stagingDir = releases.createPublicStaging();
+      fs.mkdirSync(path.join(stagingDir, "collections"));
+      fs.writeFileSync(path.join(stagingDir, "collections/core.zip"), id);
+      fs.writeFileSync(path.join(stagingDir, "data.zip"), id);
+      fs.writeFileSync(
+        path.join(stagingDir, "data.json"),
+        JSON.stringify({ release: id }),
+      );
+      return releases.publishPublicStaging();
+    };
+
+    const [first] = releases.listReleases().map((release) => release.id);
+    publish(first);
+    assert.equal(fs.existsSync(releases.PUBLIC_RELEASES_DIR), false);
+
+    const second = releases.promoteStaging(
+      releases.createStaging(`${first}-2`),
+    );
+    publish(second);
+    assert.equal(releases.getPublishedRelease(), second);
+    assert.equal(readPublic("data.zip"), second);
+    assert.deepEqual(
+      fs.readdirSync(path.join(releases.PUBLIC_RELEASES_DIR, first)).sort(),
+      ["collections", "data.json", "data.zip"],
+    );
+
+    assert.ok(releases.hasPublicBundles(first));
+    assert.deepEqual(releases.switchPublicBundles(first), [
+      "collections",
+      "data.zip",
+      "data.json",
+    ]);
+    assert.equal(releases.getPublishedRelease(), first);
+    assert.equal(readPublic("data.zip"), first);
+    assert.equal(readPublic("collections/core.zip"), first);
+    // The newer bundles are kept in turn
+    assert.equal(
+      fs.readFileSync(
+        path.join(releases.PUBLIC_RELEASES_DIR, second, "data.zip"),
+        "utf8",
+      ),
+      second,
+    );
+    assert.deepEqual(releases.switchPublicBundles(first), []);
+    assert.equal(releases.hasPublicBundles("20000101T000000Z-unknown"), false);
+  });
+});
@@ -0,0 +1,261 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const JSZip = require("jszip");
+const Database = require("better-sqlite3");
+const { setupFixtureEnv, listen } = require("./helpers");
+
+const COMMIT = "fixture-commit";
+
+describe("download routes", () => {
+  let fixture;
+  let server;
+
+  before(async () => {
+    fixture = await setupFixtureEnv();
+    server = await listen(require("../app"));
+  });
+
+  after(async () => {
+    await server.close();
+    await fixture.cleanup();
+  });
+
+  const getZip = async (urlPath) => {
+    const res = await server.request(urlPath);
+    assert.equal(res.status, 200);
+    return JSZip.loadAsync(Buffer.from(await res.arrayBuffer()));
+  };
+
+  describe("before a build", () => {
+    it("redirects to the latest release", async () => {
+      for (const [urlPath, file] of [
+        ["/api/public/download-data", "data.zip"],
+        ["/api/public/collections", "collections.json"],
+        ["/api/public/data-version", "data.json"],
+      ]) {
+        const res = await server.request(urlPath);
+        assert.equal(res.status, 302);
+        assert.equal(
+          res.headers.get("location"),
+          `${process.env.RELEASE_REMOTE_BASE}/${file}`,
+        );
+      }
+    });
+
+    it("answers 404 for collections", async () => {
+      const res = await server.request(
+        "/api/public/download-data?collections=dn",
+      );
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe("after a build", () => {
+    before(async () => {
+      // The bundle, version and promote steps of build_pipeline.js, run on
+      // the fixture corpus
+      const { generateBundle } = require("../scripts/generate_data_bundle");
+      const {
+        generateCollectionBundles,
+      } = require("../scripts/generate_collection_bundles");
+      const {
+        PUBLIC_STAGING_DIR,
+        createPublicStaging,
+        publishPublicStaging,
+      } = require("../scripts/data_releases");
+      createPublicStaging();
+      await generateBundle(fixture.dataRoot, undefined, PUBLIC_STAGING_DIR);
+      await generateCollectionBundles(
+        COMMIT,
+        fixture.dataRoot,
+        undefined,
+        PUBLIC_STAGING_DIR,
+      );
+      fs.writeFileSync(
+        path.join(PUBLIC_STAGING_DIR, "data.json"),
+        JSON.stringify({ commit: COMMIT, deltas: [] }),
+      );
+      // Nothing is served before the release is promoted
+      assert.equal(fs.existsSync(fixture.publicDir), false);
+      assert.deepEqual(publishPublicStaging(), [
+        "collections",
+        "data.zip",
+        "data.json",
+      ]);
+      assert.equal(fs.existsSync(PUBLIC_STAGING_DIR), false);
+    });
+
+    it("serves the full bundle", async () => {
+      const zip = await getZip("/api/public/download-data");
+      assert.ok(zip.file("generated/sutta_index.json"));
+      assert.ok(zip.file("menus/dn.json"));
+      // Only the server searches with it
+      assert.equal(zip.file("generated/search_index.json"), null);
+      assert.ok(
+        zip.file(
+          "bilara-data-published/root/pli/ms/sutta/dn/dn1_root-pli-ms.json",
+        ),
+      );
+    });
+
+    it("ships a prebuilt SQLite database with full-text search", async () => {
+      const zip = await getZip("/api/public/download-data");
+      const dbPath = path.join(fixture.tmpDir, "sutta.sqlite");
+      fs.writeFileSync(
+        dbPath,
+        await zip.file("generated/sutta.sqlite").async("nodebuffer"),
+      );
+      const db = new Database(dbPath, { readonly: true });
+      try {
+        const meta = db.prepare("SELECT key, value FROM meta").all();
+        assert.deepEqual(
+          meta.find((row) => row.key === "index_schema_version"),
+          { key: "index_schema_version", value: "2" },
+        );
+        const index = JSON.parse(
+          fs.readFileSync(
+            path.join(fixture.dataRoot, "generated/sutta_index.json"),
+            "utf8",
+          ),
+        );
+        assert.deepEqual(
+          meta.find((row) => row.key === "generated_at"),
+          { key: "generated_at", value: index.generated_at },
+        );
+        assert.deepEqual(
+          db.prepare("SELECT uid, collection FROM suttas ORDER BY uid").all(),
+          [
+            { uid: "dn1", collection: "dn" },
+            { uid: "dn2", collection: "dn" },
+            { uid: "sn12.1", collection: "sn" },
+            { uid: "sn12.2", collection: "sn" },
+          ],
+        );
+        assert.deepEqual(
+          db
+            .prepare(
+              "SELECT lang, author_uid FROM translations WHERE uid = 'sn12.2' ORDER BY author_uid",
+            )
+            .all(),
+          [
+            { lang: "en", author_uid: "bodhi" },
+            { lang: "en", author_uid: "sujato" },
+          ],
+        );
+        assert.deepEqual(
+          db
+            .prepare(
+              "SELECT uid FROM menu WHERE parent_uid = 'sn12' ORDER BY sort_order",
+            )
+            .all()
+            .map((row) => row.uid),
+          ["sn12.1", "sn12.2"],
+        );
+        assert.equal(
+          db.prepare("SELECT name FROM authors WHERE uid = 'sujato'").get()
+            .name,
+          "Bhikkhu Sujato",
+        );
+
+        // Diacritics are ignored, as in /api/search
+        const matches = db
+          .prepare(
+            "SELECT uid, type FROM segments WHERE segments MATCH 'sutam' AND segment_id = 'dn1:1.1'",
+          )
+          .all();
+        assert.deepEqual(matches, [{ uid: "dn1", type: "root" }]);
+        const translated = db
+          .prepare(
+            "SELECT DISTINCT uid FROM segments WHERE segments MATCH 'heard' AND lang = 'en' ORDER BY uid",
+          )
+          .all();
+        assert.ok(translated.some((row) => row.uid === "dn1"));
+      } finally {
+        db.close();
+      }
+    });
+
+    it("builds the same database from the same data", () => {
+      const { generateSqliteDb } = require("../scripts/generate_sqlite_db");
+      const dbPath = path.join(fixture.dataRoot, "generated/sutta.sqlite");
+      const sha1 = () =>
+        crypto.createHash("sha1").update(fs.readFileSync(dbPath)).digest("hex");
+      const before = sha1();
+      generateSqliteDb(fixture.dataRoot);
+      // Otherwise every delta bundle would ship the whole database
+      assert.equal(sha1(), before);
+    });
+
+    it("lists the collection archives", async () => {
+      const res = await server.request("/api/public/collections");
+      assert.equal(res.status, 200);
+      const manifest = await res.json();
+      assert.equal(manifest.commit, COMMIT);
+      assert.deepEqual(
+        manifest.archives.map((archive) => archive.name),
+        ["core", "dn", "sn"],
+      );
+    });
+
+    it("merges the core archive with the requested collections", async () => {
+      const zip = await getZip("/api/public/download-data?collections=sn");
+      assert.ok(zip.file("generated/sutta_index.json"));
+      assert.ok(
+        zip.file(
+          "bilara-data-published/root/pli/ms/sutta/sn/sn12/sn12.2_root-pli-ms.json",
+        ),
+      );
+      assert.equal(
+        zip.file(
+          "bilara-data-published/root/pli/ms/sutta/dn/dn1_root-pli-ms.json",
+        ),
+        null,
+      );
+      // The database covers every collection, so only data.zip has it
+      assert.equal(zip.file("generated/sutta.sqlite"), null);
+    });
+
+    it("rejects an unknown collection", async () => {
+      const res = await server.request(
+        "/api/public/download-data?collections=sn,nope",
+      );
+      assert.equal(res.status, 400);
+      const body = await res.json();
+      assert.match(body.error, /nope/);
+      assert.deepEqual(body.available, ["core", "dn", "sn"]);
+    });
+
+    it("serves the data version", async () => {
+      const res = await server.request("/api/public/data-version");
+      assert.equal(res.status, 200);
+      assert.equal((await res.json()).commit, COMMIT);
+    });
+
+    describe("data-diff", () => {
+      it("requires ?since=", async () => {
+        const res = await server.request("/api/public/data-diff");
+        assert.equal(res.status, 400);
+      });
+
+      it("reports a client that is up to date", async () => {
+        const res = await server.request(
+          `/api/public/data-diff?since=${COMMIT}`,
+        );
+        assert.deepEqual(await res.json(), {
+          up_to_date: true,
+          commit: COMMIT,
+        });
+      });
+
+      it("sends a client without a delta to the full bundle", async () => {
+        const res = await server.request("/api/public/data-diff?since=older");
+        const body = await res.json();
+        assert.equal(body.full_download, true);
+        assert.equal(body.url, "/api/public/download-data");
+      });
+    });
+  });
+});
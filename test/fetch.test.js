@@ -0,0 +1,187 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { promisify } = require("util");
+const { execFile } = require("child_process");
+const {
+  parseFaults,
+  startMockServer,
+} = require("../scripts/mock_suttacentral");
+
+const MASTER_FETCH_SCRIPT = path.resolve(
+  __dirname,
+  "../scripts/master_fetch.js",
+);
+const FETCH_LEGACY_SCRIPT = path.resolve(
+  __dirname,
+  "../scripts/fetch_legacy.js",
+);
+
+describe("fetching from the SuttaCentral API", () => {
+  let tmpDir;
+  let dataRoot;
+  let mock;
+  let baseUrl;
+
+  before(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "sc-api-fetch-"));
+    dataRoot = path.join(tmpDir, "data");
+    mock = await startMockServer({ port: 0 });
+    baseUrl = `http://127.0.0.1:${mock.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((done) => mock.close(done));
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    mock.app.locals.mock.requests = [];
+  });
+
+  const setFaults = (faults) => {
+    mock.app.locals.mock.faults = parseFaults(faults);
+  };
+
+  // The scripts run in a child process while the mock answers in this one
+  const runScript = async (script, args = []) => {
+    const { stdout } = await promisify(execFile)(
+      process.execPath,
+      [script, ...args],
+      {
+        env: {
+          ...process.env,
+          DATA_ROOT: dataRoot,
+          SUTTACENTRAL_API: `${baseUrl}/api`,
+          SUTTACENTRAL_TIMEOUT_MS: "500",
+          SUTTAPLEX_CONCURRENCY: "2",
+          SUTTAPLEX_MAX_RETRIES: "3",
+          SUTTAPLEX_RETRY_BASE_MS: "10",
+        },
+        timeout: 60000,
+      },
+    );
+    return stdout;
+  };
+
+  // Requests the mock saw for `apiPath`, with the status it answered
+  const requestsFor = (apiPath) =>
+    mock.app.locals.mock.requests
+      .filter((request) => request.path === apiPath)
+      .map((request) => request.status);
+
+  it("retries rate limits, timeouts and server errors while crawling", async () => {
+    setFaults(
+      [
+        "suttaplex/dn1=429:2",
+        "suttaplex/dn2=timeout:1",
+        "suttaplex/sn12.1=404",
+        "suttaplex/sn12.2=503",
+      ].join(","),
+    );
+    const output = await runScript(MASTER_FETCH_SCRIPT);
+
+    // Menus are fetched and flattened first
+    const menus = fs.readdirSync(path.join(dataRoot, "menus"));
+    ["root.json", "long.json", "linked.json", "dn.json"].forEach((file) =>
+      assert.ok(menus.includes(file), file),
+    );
+
+    assert.deepEqual(requestsFor("suttaplex/dn1"), [429, 429, 200]);
+    assert.deepEqual(requestsFor("suttaplex/dn2"), ["timeout", 200]);
+    // A 404 is final; other errors are retried SUTTAPLEX_MAX_RETRIES times
+    assert.deepEqual(requestsFor("suttaplex/sn12.1"), [404]);
+    assert.deepEqual(requestsFor("suttaplex/sn12.2"), [503, 503, 503, 503]);
+
+    const suttaplexDir = path.join(dataRoot, "suttaplex");
+    const manifest = JSON.parse(
+      fs.readFileSync(path.join(suttaplexDir, "_crawl_manifest.json"), "utf8"),
+    );
+    assert.equal(manifest.total, 4);
+    assert.deepEqual(Object.keys(manifest.done).sort(), ["dn1", "dn2"]);
+    assert.deepEqual(manifest.failed, {
+      "sn12.1": "HTTP 404",
+      "sn12.2": "HTTP 503",
+    });
+    assert.ok(fs.existsSync(path.join(suttaplexDir, "dn1.json")));
+    assert.equal(fs.existsSync(path.join(suttaplexDir, "sn12.1.json")), false);
+    assert.match(output, /Suttaplex crawl finished: 2 fetched, 2 failed/);
+  });
+
+  it("only fetches what failed or is missing on the next crawl", async () => {
+    setFaults("");
+    const output = await runScript(MASTER_FETCH_SCRIPT, ["--suttaplex-only"]);
+
+    assert.deepEqual(
+      mock.app.locals.mock.requests.map((request) => request.path).sort(),
+      ["suttaplex/sn12.1", "suttaplex/sn12.2"],
+    );
+    const manifest = JSON.parse(
+      fs.readFileSync(
+        path.join(dataRoot, "suttaplex/_crawl_manifest.json"),
+        "utf8",
+      ),
+    );
+    assert.equal(Object.keys(manifest.done).length, 4);
+    assert.deepEqual(manifest.failed, {});
+    assert.match(output, /Suttaplex crawl finished: 2 fetched, 0 failed/);
+  });
+
+  describe("legacy fallback", () => {
+    const legacyMapFile = () =>
+      path.join(dataRoot, "bilara-data-published/legacy_sutta_map.json");
+
+    before(() => {
+      // Every leaf but dn2 has Bilara texts
+      fs.mkdirSync(path.join(dataRoot, "bilara-data-published"));
+      fs.mkdirSync(path.join(dataRoot, "generated"), { recursive: true });
+      fs.writeFileSync(
+        path.join(dataRoot, "generated/sutta_index.json"),
+        JSON.stringify(
+          Object.fromEntries(
+            ["dn1", "sn12.1", "sn12.2"].map((uid) => [
+              uid,
+              { root: `${uid}_root-pli-ms.json`, translations: {} },
+            ]),
+          ),
+        ),
+      );
+    });
+
+    it("counts a sutta that timed out as failed", async () => {
+      setFaults("suttas/*=timeout");
+      const output = await runScript(FETCH_LEGACY_SCRIPT);
+
+      assert.deepEqual(requestsFor("suttaplex/dn2"), [200]);
+      assert.deepEqual(requestsFor("suttas/dn2/fixture-translator"), [
+        "timeout",
+      ]);
+      assert.match(output, /Newly fetched: 0 \/ Failed: 1/);
+      assert.deepEqual(
+        JSON.parse(fs.readFileSync(legacyMapFile(), "utf8")),
+        {},
+      );
+    });
+
+    it("saves the legacy HTML once the API answers", async () => {
+      setFaults("");
+      const output = await runScript(FETCH_LEGACY_SCRIPT);
+
+      assert.match(output, /Newly fetched: 1 \/ Failed: 0/);
+      const legacyMap = JSON.parse(fs.readFileSync(legacyMapFile(), "utf8"));
+      assert.deepEqual(legacyMap, {
+        dn2: {
+          author_uid: "fixture-translator",
+          path: "legacy/en/fixture-translator/dn2.html",
+        },
+      });
+      assert.ok(
+        fs.existsSync(
+          path.join(dataRoot, "bilara-data-published", legacyMap.dn2.path),
+        ),
+      );
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+/**
+ * Shared setup for the route tests. Each test file runs in its own process:
+ * it awaits setupFixtureEnv() before requiring app.js (or any script, since
+ * scripts/config.js reads the environment once), so the server reads the
+ * fixture corpus and keeps everything it writes in a temp directory.
+ */
+
+const FIXTURES_DATA_DIR = path.resolve(__dirname, "../fixtures/data");
+const BUILD_INDEX_SCRIPT = path.resolve(__dirname, "../scripts/build_index.js");
+
+// The server logs every fallback, build line and admin request; TEST_LOGS=true
+// shows them. (Node 20's runner can also fail on non-ASCII stdout, such as
+// the emoji in those logs, when it arrives mid-test.)
+if (process.env.TEST_LOGS !== "true") {
+  ["log", "info", "warn", "error"].forEach((method) => {
+    console[method] = () => {};
+  });
+}
+
+// A token per scope; see scripts/admin_auth.js
+const TOKENS = { build: "test-build-token", logs: "test-logs-token" };
+
+/**
+ * Serves the files under `rootDir` over HTTP, standing in for the GitHub
+ * data repository the server falls back to for files missing locally.
+ */
+function startRemote(rootDir) {
+  const server = http.createServer((req, res) => {
+    const filePath = path.join(rootDir, decodeURIComponent(req.url));
+    if (!filePath.startsWith(rootDir) || !fs.existsSync(filePath)) {
+      res.writeHead(404).end();
+      return;
+    }
+    res.end(fs.readFileSync(filePath));
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve(server));
+  });
+}
+
+/**
+ * Copies fixtures/data into a temp directory, indexes it with build_index.js
+ * (so the tests cover the index format the pipeline really writes) and points
+ * the server's environment at it. Files put in `remoteDir` are served as the
+ * remote copy of data/. `env` adds or overrides variables.
+ */
+async function setupFixtureEnv(env = {}) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "sc-api-test-"));
+  const dataRoot = path.join(tmpDir, "data");
+  fs.cpSync(FIXTURES_DATA_DIR, dataRoot, { recursive: true });
+  execFileSync(process.execPath, [BUILD_INDEX_SCRIPT], {
+    env: { ...process.env, DATA_ROOT: dataRoot },
+    stdio: "ignore",
+  });
+  const remoteDir = path.join(tmpDir, "remote");
+  fs.mkdirSync(remoteDir);
+  const remote = await startRemote(remoteDir);
+
+  ["ADMIN_TOKEN", "ADMIN_TOKENS_FILE", "BUILD_SCHEDULE", "WATCH_DATA"].forEach(
+    (name) => delete process.env[name],
+  );
+  Object.assign(process.env, {
+    DATA_ROOT: dataRoot,
+    PUBLIC_DIR: path.join(tmpDir, "public"),
+    BUILD_HISTORY_DIR: path.join(tmpDir, "builds"),
+    ADMIN_AUDIT_LOG: path.join(tmpDir, "admin_audit.log"),
+    ADMIN_TOKENS: `ci:${TOKENS.build}:build,monitor:${TOKENS.logs}:logs`,
+    DATA_REMOTE_BASE: `http://127.0.0.1:${remote.address().port}`,
+    RELEASE_REMOTE_BASE: "https://releases.invalid/download",
+    ...env,
+  });
+
+  return {
+    tmpDir,
+    dataRoot,
+    publicDir: process.env.PUBLIC_DIR,
+    remoteDir,
+    cleanup: async () => {
+      remote.closeAllConnections();
+      await new Promise((done) => remote.close(done));
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * Listens on a free port. Resolves with `request(path, options)`, a fetch
+ * against the app that never follows redirects, and `close()`.
+ */
+function listen(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, () => {
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        baseUrl,
+        request: (urlPath, options = {}) =>
+          fetch(`${baseUrl}${urlPath}`, { redirect: "manual", ...options }),
+        close: () =>
+          new Promise((done) => {
+            server.closeAllConnections();
+            server.close(done);
+          }),
+      });
+    });
+  });
+}
+
+// Authorization header for a token with `scope`
+const auth = (scope) => ({ Authorization: `Bearer ${TOKENS[scope]}` });
+
+module.exports = {
+  FIXTURES_DATA_DIR,
+  setupFixtureEnv,
+  listen,
+  auth,
+};
@@ -0,0 +1,90 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { setupFixtureEnv, listen } = require("./helpers");
+
+describe("menu routes", () => {
+  let fixture;
+  let server;
+
+  before(async () => {
+    fixture = await setupFixtureEnv();
+    server = await listen(require("../app"));
+  });
+
+  after(async () => {
+    await server.close();
+    await fixture.cleanup();
+  });
+
+  it("serves the root menu", async () => {
+    const res = await server.request("/api/menu");
+    assert.equal(res.status, 200);
+    const [sutta] = await res.json();
+    assert.equal(sutta.uid, "sutta");
+    assert.deepEqual(
+      sutta.children.map((child) => child.uid),
+      ["long", "linked"],
+    );
+  });
+
+  it("serves a sub menu", async () => {
+    const res = await server.request("/api/menu/sn12");
+    assert.equal(res.status, 200);
+    const menu = await res.json();
+    assert.equal(menu.uid, "sn12");
+    assert.deepEqual(
+      menu.children.map((child) => child.uid),
+      ["sn12.1", "sn12.2"],
+    );
+  });
+
+  it("answers 404 for an unknown menu", async () => {
+    const res = await server.request("/api/menu/nope");
+    assert.equal(res.status, 404);
+  });
+
+  it("falls back to the remote copy of a missing menu file", async () => {
+    const remoteMenus = path.join(fixture.remoteDir, "menus");
+    fs.mkdirSync(remoteMenus, { recursive: true });
+    fs.writeFileSync(
+      path.join(remoteMenus, "remote-only.json"),
+      JSON.stringify({ uid: "remote-only", children: [] }),
+    );
+
+    const res = await server.request("/api/menu/remote-only");
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).uid, "remote-only");
+  });
+
+  it("returns the breadcrumbs of a sutta", async () => {
+    const res = await server.request("/api/menu/sn12.2/path");
+    assert.equal(res.status, 200);
+    const { uid, path: breadcrumbs } = await res.json();
+    assert.equal(uid, "sn12.2");
+    assert.deepEqual(
+      breadcrumbs.map((node) => node.uid),
+      ["sutta", "linked", "sn", "sn12"],
+    );
+  });
+
+  it("answers 404 for breadcrumbs of an unknown uid", async () => {
+    const res = await server.request("/api/menu/nope/path");
+    assert.equal(res.status, 404);
+  });
+
+  it("answers 304 when the ETag still matches", async () => {
+    const first = await server.request("/api/menu/dn");
+    const etag = first.headers.get("etag");
+    assert.ok(etag);
+    assert.match(first.headers.get("cache-control"), /max-age/);
+
+    const second = await server.request("/api/menu/dn", {
+      // fetch() would otherwise add "Cache-Control: no-cache" to a
+      // conditional request, which always gets a full response
+      headers: { "If-None-Match": etag, "Cache-Control": "max-age=0" },
+    });
+    assert.equal(second.status, 304);
+  });
+});
@@ -0,0 +1,45 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { renderSutta } = require("../scripts/render_sutta");
+
+const content = (overrides) => ({
+  uid: "dn1",
+  lang: "en",
+  root_text: {},
+  translation_text: {},
+  comment_text: {},
+  html_text: {},
+  ...overrides,
+});
+
+describe("renderSutta", () => {
+  it("fills the HTML templates with the segments", () => {
+    const html = renderSutta(
+      content({
+        root_text: { "dn1:1.1": "Evaṁ me sutaṁ—" },
+        translation_text: { "dn1:1.1": "So I have heard." },
+        html_text: { "dn1:1.1": "<p>{}</p>" },
+      }),
+      { format: "html", layout: "bilingual", title: "The Divine Net" },
+    );
+    assert.match(
+      html,
+      /<p><span class="root" lang="pi">Evaṁ me sutaṁ—<\/span> <span class="translation" lang="en">So I have heard.<\/span><\/p>/,
+    );
+  });
+
+  it("keeps replacement patterns in the text as they are", () => {
+    const text = "He paid $& and $$, $` or $' and left";
+    for (const html_text of [{ "dn1:1.1": "<p>{}</p>" }, {}]) {
+      const html = renderSutta(
+        content({ translation_text: { "dn1:1.1": text }, html_text }),
+        { format: "html", layout: "translation" },
+      );
+      assert.ok(
+        html.includes(
+          `lang="en">He paid $&amp; and $$, $\` or $' and left</span>`,
+        ),
+      );
+    }
+  });
+});
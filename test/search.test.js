@@ -0,0 +1,80 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { setupFixtureEnv, listen, auth } = require("./helpers");
+
+describe("search route", () => {
+  let fixture;
+  let server;
+
+  before(async () => {
+    fixture = await setupFixtureEnv();
+    server = await listen(require("../app"));
+  });
+
+  after(async () => {
+    await server.close();
+    await fixture.cleanup();
+  });
+
+  const search = async (query) => {
+    const res = await server.request(`/api/search?${query}`);
+    assert.equal(res.status, 200);
+    return res.json();
+  };
+
+  it("finds segments ignoring case and diacritics", async () => {
+    const body = await search("q=savatthi");
+    assert.equal(body.total, 2);
+    assert.equal(body.total_capped, false);
+    assert.deepEqual(body.results.map((result) => result.author_uid).sort(), [
+      "bodhi",
+      "sujato",
+    ]);
+    body.results.forEach((result) => {
+      assert.equal(result.uid, "sn12.2");
+      assert.equal(result.segment_id, "sn12.2:1.1");
+      assert.equal(result.snippet, "At <mark>Sāvatthī</mark>.");
+    });
+  });
+
+  it("only matches segments holding every word", async () => {
+    const body = await search("q=dependent+origination&author=bodhi");
+    assert.equal(body.total, 1);
+    assert.equal(body.results[0].segment_id, "sn12.2:1.2");
+    assert.equal(body.results[0].type, "translation");
+
+    // Both words are in dn1, but never in the same segment
+    const apart = await search("q=heard+buddha&collection=dn");
+    assert.deepEqual(apart.results, []);
+  });
+
+  it("pages through the matches", async () => {
+    const all = await search("q=discourses");
+    assert.equal(all.total, 3);
+    const second = await search("q=discourses&limit=2&page=2");
+    assert.equal(second.total, 3);
+    assert.deepEqual(second.results, all.results.slice(2));
+  });
+
+  it("rejects a missing query", async () => {
+    const res = await server.request("/api/search?q=+");
+    assert.equal(res.status, 400);
+  });
+
+  it("answers 503 for an index of an older version", async () => {
+    fs.writeFileSync(
+      path.join(fixture.dataRoot, "generated/search_index.json"),
+      JSON.stringify({ version: 1, docs: [], collections: {}, terms: {} }),
+    );
+    const reload = await server.request("/api/admin/reload", {
+      method: "POST",
+      headers: auth("build"),
+    });
+    assert.equal(reload.status, 200);
+
+    const res = await server.request("/api/search?q=savatthi");
+    assert.equal(res.status, 503);
+  });
+});
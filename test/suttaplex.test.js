@@ -0,0 +1,83 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupFixtureEnv, listen } = require("./helpers");
+
+describe("suttaplex route", () => {
+  let fixture;
+  let server;
+
+  before(async () => {
+    fixture = await setupFixtureEnv();
+    server = await listen(require("../app"));
+  });
+
+  after(async () => {
+    await server.close();
+    await fixture.cleanup();
+  });
+
+  const getSuttaplex = async (urlPath) => {
+    const res = await server.request(urlPath);
+    assert.equal(res.status, 200);
+    return res.json();
+  };
+
+  it("lists the root and every translation of a Bilara sutta", async () => {
+    const suttaplex = await getSuttaplex("/api/suttaplex/dn1");
+    assert.equal(suttaplex.uid, "dn1");
+    assert.equal(suttaplex.acronym, "DN 1");
+    assert.deepEqual(
+      suttaplex.translations.map((t) => [t.lang, t.author_uid, t.is_root]),
+      [
+        ["pli", "ms", true],
+        ["de", "sabbamitta", false],
+        ["en", "sujato", false],
+      ],
+    );
+  });
+
+  it("fills in details from the saved SuttaCentral payload", async () => {
+    const suttaplex = await getSuttaplex("/api/suttaplex/dn1");
+    const sujato = suttaplex.translations.find(
+      (t) => t.author_uid === "sujato",
+    );
+    assert.equal(sujato.author, "Bhikkhu Sujato");
+    assert.equal(sujato.lang_name, "English");
+    assert.equal(sujato.id, "dn1_translation-en-sujato");
+    assert.equal(sujato.segmented, true);
+  });
+
+  it("restricts and orders translations by ?lang=", async () => {
+    const suttaplex = await getSuttaplex("/api/suttaplex/dn1?lang=en,de");
+    assert.deepEqual(
+      suttaplex.translations.map((t) => t.lang),
+      ["pli", "en", "de"],
+    );
+  });
+
+  it("falls back to the menus when no payload was saved", async () => {
+    const suttaplex = await getSuttaplex("/api/suttaplex/sn12.1");
+    assert.equal(suttaplex.acronym, "SN 12.1");
+    assert.equal(suttaplex.original_title, "Paṭiccasamuppādasutta");
+    assert.equal(suttaplex.translated_title, "Dependent Origination");
+    assert.deepEqual(
+      suttaplex.translations.map((t) => t.author_uid),
+      ["ms"],
+    );
+  });
+
+  it("lists a legacy translation of a sutta missing from Bilara", async () => {
+    const suttaplex = await getSuttaplex("/api/suttaplex/dn2");
+    assert.equal(suttaplex.translations.length, 1);
+    const [legacy] = suttaplex.translations;
+    assert.equal(legacy.author_uid, "fixture-translator");
+    assert.equal(legacy.author_name, "Fixture Translator");
+    assert.equal(legacy.segmented, false);
+    assert.equal(legacy.is_legacy, true);
+  });
+
+  it("answers 404 for a menu leaf without any text", async () => {
+    const res = await server.request("/api/suttaplex/dn3");
+    assert.equal(res.status, 404);
+  });
+});
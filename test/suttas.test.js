@@ -0,0 +1,201 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { setupFixtureEnv, listen, auth } = require("./helpers");
+
+describe("suttas route", () => {
+  let fixture;
+  let server;
+
+  before(async () => {
+    fixture = await setupFixtureEnv();
+    server = await listen(require("../app"));
+  });
+
+  after(async () => {
+    await server.close();
+    await fixture.cleanup();
+  });
+
+  const getSutta = async (urlPath) => {
+    const res = await server.request(urlPath);
+    assert.equal(res.status, 200);
+    return res.json();
+  };
+
+  it("serves every file of a sutta", async () => {
+    const sutta = await getSutta("/api/suttas/dn1");
+    assert.equal(sutta.root_text["dn1:1.1"], "Evaṁ me sutaṁ—");
+    assert.match(sutta.translation_text["dn1:1.1"], /So I have heard/);
+    assert.match(sutta.html_text["dn1:0.2"], /<h1>/);
+    assert.match(sutta.comment_text["dn1:1.2"], /Rājagaha/);
+    assert.match(sutta.variant_text["dn1:1.2"], /nāḷandā/);
+    assert.match(sutta.reference_text["dn1:1.1"], /pts-vp-pli/);
+    assert.equal(sutta.publication_data.publication_number, "scpub1");
+  });
+
+  it("adds breadcrumbs and neighbours in menu order", async () => {
+    const sutta = await getSutta("/api/suttas/dn2");
+    assert.deepEqual(
+      sutta.breadcrumbs.map((node) => node.uid),
+      ["sutta", "long", "dn", "dn-silakkhandhavagga"],
+    );
+    assert.equal(sutta.previous.uid, "dn1");
+    // dn3 has no text, so it is skipped
+    assert.equal(sutta.next.uid, "sn12.1");
+  });
+
+  describe("author selection", () => {
+    it("prefers the default authors", async () => {
+      const sutta = await getSutta("/api/suttas/sn12.2");
+      assert.equal(sutta.author_uid, "sujato");
+      assert.equal(sutta.author_name, "Bhikkhu Sujato");
+      assert.deepEqual(sutta.available_authors.sort(), ["bodhi", "sujato"]);
+    });
+
+    it("serves the requested author", async () => {
+      const sutta = await getSutta("/api/suttas/sn12.2?author=bodhi");
+      assert.equal(sutta.author_uid, "bodhi");
+      assert.match(sutta.translation_text["sn12.2:1.2"], /Bhikkhus/);
+    });
+
+    it("ignores an unknown author", async () => {
+      const sutta = await getSutta("/api/suttas/sn12.2?author=nobody");
+      assert.equal(sutta.author_uid, "sujato");
+    });
+
+    it("takes the first language of ?lang= that has a translation", async () => {
+      const german = await getSutta("/api/suttas/dn1?lang=de");
+      assert.equal(german.lang, "de");
+      assert.equal(german.author_uid, "sabbamitta");
+
+      const fallback = await getSutta("/api/suttas/sn12.2?lang=de,en");
+      assert.equal(fallback.lang, "en");
+      assert.equal(fallback.author_uid, "sujato");
+    });
+
+    it("serves only the root text when no language matches", async () => {
+      const sutta = await getSutta("/api/suttas/sn12.2?lang=de");
+      assert.equal(sutta.author_uid, null);
+      assert.deepEqual(sutta.translation_text, {});
+      assert.equal(sutta.root_text["sn12.2:1.1"], "Sāvatthiyaṁ viharati. ");
+    });
+
+    it("serves the root text of a sutta without translations", async () => {
+      const sutta = await getSutta("/api/suttas/sn12.1");
+      assert.equal(sutta.author_uid, null);
+      assert.deepEqual(sutta.available_authors, []);
+      assert.equal(sutta.root_text["sn12.1:1.1"], "Evaṁ me sutaṁ—");
+    });
+  });
+
+  describe("fallbacks", () => {
+    it("serves the legacy HTML of a sutta missing from Bilara", async () => {
+      const sutta = await getSutta("/api/suttas/dn2");
+      assert.equal(sutta.is_legacy, true);
+      assert.equal(sutta.author_uid, "fixture-translator");
+      assert.equal(sutta.author_name, "Fixture Translator");
+      assert.match(sutta.legacy_html, /The Fruits of the Ascetic Life/);
+      assert.deepEqual(sutta.root_text, {});
+    });
+
+    it("reads a file missing locally from the remote data", async () => {
+      const relativePath =
+        "bilara-data-published/variant/pli/ms/sutta/sn/sn12/sn12.2_variant-pli-ms.json";
+      const remotePath = path.join(fixture.remoteDir, relativePath);
+      fs.mkdirSync(path.dirname(remotePath), { recursive: true });
+      fs.writeFileSync(
+        remotePath,
+        JSON.stringify({ "sn12.2:1.2": "desessāmi → desissāmi (mr)" }),
+      );
+
+      const sutta = await getSutta("/api/suttas/sn12.2?author=sujato");
+      assert.equal(
+        sutta.variant_text["sn12.2:1.2"],
+        "desessāmi → desissāmi (mr)",
+      );
+    });
+
+    it("leaves out files missing locally and remotely", async () => {
+      const sutta = await getSutta("/api/suttas/sn12.1");
+      assert.deepEqual(sutta.variant_text, {});
+      assert.deepEqual(sutta.reference_text, {});
+    });
+  });
+
+  it("renders other formats", async () => {
+    const res = await server.request("/api/suttas/dn1?format=markdown");
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /text\/markdown/);
+    assert.match(await res.text(), /^# The Divine Net$/m);
+  });
+
+  it("rejects an unknown format", async () => {
+    const res = await server.request("/api/suttas/dn1?format=pdf");
+    assert.equal(res.status, 400);
+  });
+
+  describe("segments", () => {
+    it("serves a range with its citation", async () => {
+      const body = await getSutta("/api/segments/dn1:1.1-dn1:1.2");
+      assert.deepEqual(body.segment_ids, ["dn1:1.1", "dn1:1.2"]);
+      assert.match(body.citation, /^DN 1:1\.1–1\.2/);
+    });
+
+    it("rejects a range ending in another sutta", async () => {
+      const res = await server.request("/api/segments/dn1:1.2-mn1:3");
+      assert.equal(res.status, 400);
+      assert.match((await res.json()).error, /dn1 to mn1/);
+    });
+  });
+
+  it("answers 404 for a sutta in neither the index nor the legacy map", async () => {
+    const res = await server.request("/api/suttas/dn3");
+    assert.equal(res.status, 404);
+  });
+
+  it("reads an index without a schema version, built on Windows", async () => {
+    const indexPath = path.join(fixture.dataRoot, "generated/sutta_index.json");
+    const current = fs.readFileSync(indexPath);
+    const reload = () =>
+      server.request("/api/admin/reload", {
+        method: "POST",
+        headers: auth("build"),
+      });
+    fs.writeFileSync(
+      indexPath,
+      JSON.stringify({
+        // Translations keyed by author only, as before multi-language support
+        dn1: {
+          root: "sutta\\dn\\dn1_root-pli-ms.json",
+          translations: { sujato: "sutta\\dn\\dn1_translation-en-sujato.json" },
+        },
+        "sn12.2": {
+          root: "sutta\\sn\\sn12\\sn12.2_root-pli-ms.json",
+          translations: {
+            en: { bodhi: "sutta\\sn\\sn12\\sn12.2_translation-en-bodhi.json" },
+          },
+        },
+      }),
+    );
+
+    try {
+      const summary = await (await reload()).json();
+      assert.equal(summary.index_schema_version, 1);
+      assert.equal(summary.suttas, 2);
+
+      const dn1 = await getSutta("/api/suttas/dn1");
+      assert.equal(dn1.author_uid, "sujato");
+      assert.match(dn1.translation_text["dn1:1.1"], /So I have heard/);
+      assert.match(dn1.html_text["dn1:0.2"], /<h1>/);
+
+      const sn = await getSutta("/api/suttas/sn12.2");
+      assert.equal(sn.author_uid, "bodhi");
+      assert.match(sn.translation_text["sn12.2:1.2"], /Bhikkhus/);
+    } finally {
+      fs.writeFileSync(indexPath, current);
+      await reload();
+    }
+  });
+});